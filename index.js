@@ -3,24 +3,56 @@ const axios = require('axios');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { Readable, Transform, Writable } = require('stream');
+const readline = require('readline');
 const Database = require('better-sqlite3');
 const cookieParser = require('cookie-parser');
+const YAML = require('yaml');
 
 // === Configuration ===
 const dbPath = process.env.DB_PATH || path.join(__dirname, 'data', 'config.db');
 const adminToken = process.env.ADMIN_TOKEN || 'admin';
-const adminCookieName = 'api_forward_admin_token';
+const adminUsername = process.env.ADMIN_USERNAME || 'admin';
+const sessionCookieName = 'api_forward_session';
+const servedClientCookieName = 'api_forward_client';
+const sessionTtl = parseFloat(process.env.SESSION_TTL_HOURS || '24') * 60 * 60 * 1000;
 const enableFileOperations = process.env.ENABLE_FILE_OPERATIONS !== 'false';
 const configPath = path.join(__dirname, 'config.json');
+const packageVersion = require('./package.json').version;
 const PORT = process.env.PORT || 3000;
+const publicBaseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+const enableMcp = process.env.MCP_ENABLED !== 'false';
+const mcpStdio = process.argv.includes('--mcp-stdio');
+const mcpMaxImageSize = parseFloat(process.env.MCP_MAX_IMAGE_MB || '5') * 1024 * 1024;
+// In stdio mode stdout carries MCP messages, so everything logged goes to stderr
+if (mcpStdio) console.log = console.info = console.error;
+const healthCheckInterval = parseFloat(process.env.HEALTH_CHECK_INTERVAL ?? '10'); // minutes, 0 disables
+const healthCheckTimeout = parseInt(process.env.HEALTH_CHECK_TIMEOUT || '10000', 10);
+const hideUnhealthyEndpoints = process.env.HIDE_UNHEALTHY_ENDPOINTS === 'true';
+const mediaCacheMaxSize = parseFloat(process.env.MEDIA_CACHE_MAX_SIZE_MB || '500') * 1024 * 1024;
+const mediaCacheMaxAge = parseFloat(process.env.MEDIA_CACHE_MAX_AGE_HOURS || '72') * 60 * 60 * 1000;
+const mediaCacheMaxFileSize = parseFloat(process.env.MEDIA_CACHE_MAX_FILE_MB || '50') * 1024 * 1024;
+const mediaCacheTimeout = parseInt(process.env.MEDIA_CACHE_TIMEOUT || '8000', 10);
+const collectionMaxFileSize = parseFloat(process.env.COLLECTION_MAX_FILE_MB || '50') * 1024 * 1024;
+const proxyTimeout = parseInt(process.env.PROXY_TIMEOUT || '15000', 10);
+const responseCacheMaxEntries = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || '1000', 10);
+const servedHistoryMaxClients = parseInt(process.env.SERVED_HISTORY_MAX_CLIENTS || '10000', 10);
+const trustProxy = process.env.TRUST_PROXY;
+const enableRequestLog = process.env.REQUEST_LOG_ENABLED !== 'false';
+const requestLogRetentionDays = parseFloat(process.env.REQUEST_LOG_RETENTION_DAYS || '30');
+const configRevisionLimit = parseInt(process.env.CONFIG_REVISION_LIMIT || '100', 10);
 
 // === Database Setup ===
 const dbDir = path.dirname(dbPath);
 if (!fs.existsSync(dbDir)) fs.mkdirSync(dbDir, { recursive: true });
+const mediaCacheDir = process.env.MEDIA_CACHE_DIR || path.join(dbDir, 'media-cache');
+const collectionDir = process.env.COLLECTION_DIR || path.join(dbDir, 'collections');
 
 let db;
 try {
     db = new Database(dbPath);
+    db.pragma('foreign_keys = ON');
     console.log(`SQLite database initialized at: ${dbPath}`);
 
     db.exec(`
@@ -29,314 +61,3482 @@ try {
         CREATE TABLE IF NOT EXISTS query_params (id INTEGER PRIMARY KEY AUTOINCREMENT, endpoint_id INTEGER NOT NULL, name TEXT NOT NULL, description TEXT DEFAULT '', required INTEGER DEFAULT 0, default_value TEXT, valid_values TEXT, sort_order INTEGER DEFAULT 0, FOREIGN KEY (endpoint_id) REFERENCES api_endpoints(id) ON DELETE CASCADE);
         CREATE INDEX IF NOT EXISTS idx_endpoints_api_key ON api_endpoints(api_key);
         CREATE INDEX IF NOT EXISTS idx_endpoints_group ON api_endpoints(group_name);
+        CREATE TABLE IF NOT EXISTS endpoint_upstreams (id INTEGER PRIMARY KEY AUTOINCREMENT, endpoint_id INTEGER NOT NULL, url TEXT NOT NULL, weight INTEGER DEFAULT 1, priority INTEGER DEFAULT 1, sort_order INTEGER DEFAULT 0, FOREIGN KEY (endpoint_id) REFERENCES api_endpoints(id) ON DELETE CASCADE);
+        CREATE TABLE IF NOT EXISTS endpoint_headers (id INTEGER PRIMARY KEY AUTOINCREMENT, endpoint_id INTEGER NOT NULL, direction TEXT NOT NULL, name TEXT NOT NULL, value TEXT DEFAULT '', secret INTEGER DEFAULT 0, sort_order INTEGER DEFAULT 0, FOREIGN KEY (endpoint_id) REFERENCES api_endpoints(id) ON DELETE CASCADE);
+        CREATE TABLE IF NOT EXISTS endpoint_targets (id INTEGER PRIMARY KEY AUTOINCREMENT, endpoint_id INTEGER NOT NULL, target_key TEXT NOT NULL, weight INTEGER DEFAULT 1, sort_order INTEGER DEFAULT 0, FOREIGN KEY (endpoint_id) REFERENCES api_endpoints(id) ON DELETE CASCADE);
+        CREATE TABLE IF NOT EXISTS endpoint_health (api_key TEXT PRIMARY KEY, status TEXT NOT NULL, status_code INTEGER, content_type TEXT, latency_ms INTEGER, error TEXT, consecutive_failures INTEGER DEFAULT 0, last_checked DATETIME, last_success DATETIME);
+        CREATE TABLE IF NOT EXISTS media_cache (id INTEGER PRIMARY KEY AUTOINCREMENT, api_key TEXT NOT NULL, file_name TEXT NOT NULL, content_type TEXT NOT NULL, size INTEGER NOT NULL, source_url TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+        CREATE TABLE IF NOT EXISTS request_log (id INTEGER PRIMARY KEY AUTOINCREMENT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, api_key TEXT NOT NULL, status INTEGER, latency_ms INTEGER, referer TEXT, client_ip TEXT, outcome TEXT);
+        CREATE TABLE IF NOT EXISTS config_revisions (id INTEGER PRIMARY KEY AUTOINCREMENT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, author TEXT, note TEXT, summary TEXT, data TEXT NOT NULL);
+        CREATE TABLE IF NOT EXISTS users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT NOT NULL UNIQUE, password_hash TEXT NOT NULL, role TEXT NOT NULL DEFAULT 'viewer', created_at DATETIME DEFAULT CURRENT_TIMESTAMP, last_login DATETIME);
+        CREATE TABLE IF NOT EXISTS sessions (id TEXT PRIMARY KEY, user_id INTEGER NOT NULL, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, expires_at DATETIME NOT NULL, client_ip TEXT, FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE);
+        CREATE TABLE IF NOT EXISTS consumer_keys (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL, key_hash TEXT NOT NULL UNIQUE, key_prefix TEXT NOT NULL, allowed_endpoints TEXT, expires_at DATETIME, enabled INTEGER DEFAULT 1, usage_count INTEGER DEFAULT 0, last_used DATETIME, created_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+        CREATE TABLE IF NOT EXISTS response_cache (api_key TEXT NOT NULL, cache_key TEXT NOT NULL, data TEXT NOT NULL, size INTEGER NOT NULL, stored_at INTEGER NOT NULL, expires_at INTEGER NOT NULL, stale_until INTEGER NOT NULL, PRIMARY KEY (api_key, cache_key));
+        CREATE TABLE IF NOT EXISTS collection_items (id INTEGER PRIMARY KEY AUTOINCREMENT, api_key TEXT NOT NULL, file_name TEXT NOT NULL, content_type TEXT NOT NULL, size INTEGER NOT NULL, hash TEXT NOT NULL, tags TEXT, original_name TEXT, source_url TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, UNIQUE(api_key, hash));
+        CREATE TABLE IF NOT EXISTS audit_log (id INTEGER PRIMARY KEY AUTOINCREMENT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, username TEXT, action TEXT NOT NULL, target TEXT, detail TEXT, client_ip TEXT);
         CREATE INDEX IF NOT EXISTS idx_params_endpoint ON query_params(endpoint_id);
+        CREATE INDEX IF NOT EXISTS idx_request_log_created ON request_log(created_at);
+        CREATE INDEX IF NOT EXISTS idx_request_log_api_key ON request_log(api_key, created_at);
+        CREATE INDEX IF NOT EXISTS idx_media_cache_api_key ON media_cache(api_key);
+        CREATE INDEX IF NOT EXISTS idx_collection_items_api_key ON collection_items(api_key);
+        CREATE INDEX IF NOT EXISTS idx_upstreams_endpoint ON endpoint_upstreams(endpoint_id);
+        CREATE INDEX IF NOT EXISTS idx_headers_endpoint ON endpoint_headers(endpoint_id);
+        CREATE INDEX IF NOT EXISTS idx_targets_endpoint ON endpoint_targets(endpoint_id);
+        CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+        CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
     `);
+
+    // Columns added after the initial schema; older databases get them via ALTER TABLE
+    ensureColumns('api_endpoints', {
+        type: "TEXT DEFAULT 'image'",
+        upstream_strategy: "TEXT DEFAULT 'priority'",
+        url_weight: 'INTEGER DEFAULT 1',
+        url_priority: 'INTEGER DEFAULT 0',
+        rate_limit_per_minute: 'INTEGER DEFAULT 0',
+        rate_limit_burst: 'INTEGER DEFAULT 0',
+        rate_limit_scope: "TEXT DEFAULT 'ip'",
+        require_api_key: 'INTEGER DEFAULT 0',
+        upstream_method: "TEXT DEFAULT 'GET'",
+        body_template: 'TEXT',
+        proxy_extract_mode: "TEXT DEFAULT 'auto'",
+        proxy_result_mode: "TEXT DEFAULT 'redirect'",
+        proxy_pick_mode: "TEXT DEFAULT 'first'",
+        aggregate_strategy: 'TEXT',
+        aggregate_group: 'TEXT',
+        aggregate_type: 'TEXT',
+        include_in_prompt: 'INTEGER DEFAULT 1',
+        response_cache_ttl: 'INTEGER DEFAULT 0',
+        response_cache_swr: 'INTEGER DEFAULT 0',
+        response_cache_store: "TEXT DEFAULT 'memory'",
+        dedup_window: 'INTEGER DEFAULT 0',
+        dedup_scope: "TEXT DEFAULT 'endpoint'",
+        dedup_retries: 'INTEGER DEFAULT 3',
+        enabled: 'INTEGER DEFAULT 1',
+        available_windows: 'TEXT',
+        expires_at: 'TEXT',
+        unavailable_action: 'TEXT',
+        unavailable_message: 'TEXT',
+        unavailable_fallback: 'TEXT'
+    });
+    ensureColumns('query_params', {
+        param_type: 'TEXT',
+        min_value: 'REAL',
+        max_value: 'REAL',
+        min_length: 'INTEGER',
+        max_length: 'INTEGER',
+        pattern: 'TEXT',
+        aliases: 'TEXT',
+        upstream_name: 'TEXT',
+        value_map: 'TEXT',
+        location: 'TEXT'
+    });
+    ensureColumns('global_settings', { protected_groups: 'TEXT', prompt_templates: 'TEXT' });
     console.log('Database tables initialized.');
 } catch (error) {
     console.error('Failed to initialize SQLite database:', error);
     process.exit(1);
 }
 
-// === Config Management ===
-let currentConfig = { apiUrls: {}, baseTag: '' };
+function ensureColumns(table, columns) {
+    const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    for (const [name, definition] of Object.entries(columns)) {
+        if (!existing.includes(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    }
+}
+
+// === Config Management ===
+let currentConfig = { apiUrls: {}, baseTag: '' };
+let endpointVersions = {};
+
+const reservedPaths = ['config', 'admin', 'admin-login', 'admin-logout', 'api', 'docs', 'mcp'];
+
+// Canonical endpoint shape; everything read from or written to the database passes through here
+function normalizeEndpoint(config = {}) {
+    if (config.urlConstruction) config = migrateUrlConstruction(config);
+    const normalized = {
+        group: config.group || '默认分组',
+        description: config.description || '',
+        url: config.url || '',
+        method: config.method || 'redirect',
+        type: config.type || 'image',
+        upstreamStrategy: config.upstreamStrategy || 'priority',
+        upstreams: (config.upstreams || []).filter(u => u?.url).map(u => ({ url: u.url, weight: toInt(u.weight, 1), priority: toInt(u.priority, 1) })),
+        rateLimit: { perMinute: toInt(config.rateLimit?.perMinute, 0), burst: toInt(config.rateLimit?.burst, 0), scope: config.rateLimit?.scope || 'ip' },
+        requestHeaders: (config.requestHeaders || []).filter(h => h?.name).map(h => ({ name: String(h.name).trim(), value: String(h.value ?? ''), secret: !!h.secret })),
+        responseHeaders: (config.responseHeaders || []).filter(h => h?.name).map(h => ({ name: String(h.name).trim(), value: String(h.value ?? '') })),
+        queryParams: (config.queryParams || []).map(normalizeQueryParam),
+        proxySettings: {
+            imageUrlField: config.proxySettings?.imageUrlField || undefined,
+            imageUrlFieldFromParam: config.proxySettings?.imageUrlFieldFromParam ? true : undefined,
+            fallbackAction: config.proxySettings?.fallbackAction || 'returnJson',
+            extractMode: ['url', 'base64'].includes(config.proxySettings?.extractMode) ? config.proxySettings.extractMode : undefined,
+            resultMode: config.proxySettings?.resultMode === 'stream' ? 'stream' : undefined,
+            pickMode: config.proxySettings?.pickMode === 'random' ? 'random' : undefined
+        }
+    };
+    if (toInt(config.urlWeight, 1) !== 1) normalized.urlWeight = Math.max(toInt(config.urlWeight, 1), 0);
+    if (toInt(config.urlPriority, 0) !== 0) normalized.urlPriority = toInt(config.urlPriority, 0);
+    if (config.requireApiKey) normalized.requireApiKey = true;
+    if (config.upstreamMethod && config.upstreamMethod !== 'GET') normalized.upstreamMethod = config.upstreamMethod;
+    if (config.bodyTemplate) normalized.bodyTemplate = String(config.bodyTemplate);
+    if (config.includeInPrompt === false) normalized.includeInPrompt = false;
+    if (config.enabled === false) normalized.enabled = false;
+    const availability = {};
+    const windows = (config.availability?.windows || []).filter(w => w?.start && w?.end).map(w => ({ start: String(w.start), end: String(w.end) }));
+    if (windows.length) availability.windows = windows;
+    if (!Number.isNaN(Date.parse(config.availability?.expiresAt))) availability.expiresAt = new Date(config.availability.expiresAt).toISOString();
+    if (['unavailable', 'fallback'].includes(config.availability?.whenUnavailable)) availability.whenUnavailable = config.availability.whenUnavailable;
+    if (availability.whenUnavailable === 'unavailable' && config.availability.message) availability.message = String(config.availability.message);
+    if (availability.whenUnavailable === 'fallback' && config.availability.fallbackKey) availability.fallbackKey = String(config.availability.fallbackKey);
+    if (Object.keys(availability).length) normalized.availability = availability;
+    if (toInt(config.responseCache?.ttl, 0) > 0) {
+        normalized.responseCache = {
+            ttl: toInt(config.responseCache.ttl, 0),
+            staleWhileRevalidate: Math.max(toInt(config.responseCache.staleWhileRevalidate, 0), 0),
+            store: config.responseCache.store === 'sqlite' ? 'sqlite' : 'memory'
+        };
+    }
+    if (toInt(config.dedup?.window, 0) > 0) {
+        normalized.dedup = {
+            window: Math.min(toInt(config.dedup.window, 0), dedupMaxWindow),
+            scope: dedupScopes.includes(config.dedup.scope) ? config.dedup.scope : 'endpoint',
+            retries: Math.min(Math.max(toInt(config.dedup.retries, 3), 0), dedupMaxRetries)
+        };
+    }
+    if (normalized.method === 'aggregate') {
+        normalized.aggregate = {
+            strategy: aggregateStrategies.includes(config.aggregate?.strategy) ? config.aggregate.strategy : 'random',
+            targets: (config.aggregate?.targets || []).map(t => typeof t === 'string' ? { key: t } : t).filter(t => t?.key).map(t => ({ key: String(t.key), weight: toInt(t.weight, 1) }))
+        };
+        if (config.aggregate?.group) normalized.aggregate.group = String(config.aggregate.group);
+        if (config.aggregate?.type) normalized.aggregate.type = String(config.aggregate.type);
+    }
+    return normalized;
+}
+
+// Before URL templates, /forward, pollinations and draw redirects were hard-coded `urlConstruction` branches.
+// Older configs (database rows, config.json, revisions, imports) are rewritten into equivalent templates.
+function migrateUrlConstruction(config) {
+    const { urlConstruction, modelName, ...rest } = config;
+    const params = rest.queryParams || [];
+    const requireParam = name => params.some(p => p.name === name)
+        ? params.map(p => p.name === name ? { ...p, required: true } : p)
+        : [...params, { name, description: '', required: true }];
+
+    switch (urlConstruction) {
+        case 'special_forward':
+            return {
+                ...rest,
+                url: '{{url:raw}}',
+                method: 'proxy',
+                queryParams: requireParam('url'),
+                proxySettings: { ...rest.proxySettings, imageUrlField: rest.proxySettings?.imageUrlField || rest.proxySettings?.imageUrlFieldFromParamDefault || 'url', imageUrlFieldFromParam: true }
+            };
+        case 'special_pollinations':
+            return { ...rest, url: `${rest.url || ''}{{tags}}%2c{{$baseTag:raw}}?&model=${modelName || ''}&nologo=true`, method: 'redirect', queryParams: requireParam('tags') };
+        case 'special_draw_redirect':
+            return { ...rest, url: '/{{model|flux}}?tags={{tags}}', method: 'redirect', queryParams: requireParam('tags') };
+        default:
+            return rest;
+    }
+}
+
+function endpointChanged(previous, config) {
+    return !previous || JSON.stringify(normalizeEndpoint(previous)) !== JSON.stringify(normalizeEndpoint(config));
+}
+
+function readConfigFromDb() {
+    const globalSettings = db.prepare('SELECT base_tag, protected_groups, prompt_templates FROM global_settings WHERE id = 1').get();
+    const endpoints = db.prepare('SELECT * FROM api_endpoints').all();
+    const allParams = db.prepare('SELECT * FROM query_params ORDER BY endpoint_id, sort_order').all();
+    const allUpstreams = db.prepare('SELECT * FROM endpoint_upstreams ORDER BY endpoint_id, sort_order').all();
+    const allHeaders = db.prepare('SELECT * FROM endpoint_headers ORDER BY endpoint_id, sort_order').all();
+    const allTargets = db.prepare('SELECT * FROM endpoint_targets ORDER BY endpoint_id, sort_order').all();
+
+    const config = {
+        apiUrls: {},
+        baseTag: globalSettings?.base_tag || '',
+        protectedGroups: globalSettings?.protected_groups ? JSON.parse(globalSettings.protected_groups) : [],
+        promptTemplates: globalSettings?.prompt_templates ? JSON.parse(globalSettings.prompt_templates) : []
+    };
+    const versions = {};
+    for (const ep of endpoints) {
+        config.apiUrls[ep.api_key] = normalizeEndpoint({
+            group: ep.group_name,
+            description: ep.description,
+            url: ep.url,
+            method: ep.method,
+            type: ep.type,
+            upstreamStrategy: ep.upstream_strategy,
+            urlWeight: ep.url_weight,
+            urlPriority: ep.url_priority,
+            upstreams: allUpstreams.filter(u => u.endpoint_id === ep.id),
+            rateLimit: { perMinute: ep.rate_limit_per_minute, burst: ep.rate_limit_burst, scope: ep.rate_limit_scope },
+            requestHeaders: allHeaders.filter(h => h.endpoint_id === ep.id && h.direction === 'request').map(h => ({ name: h.name, value: h.value, secret: h.secret === 1 })),
+            responseHeaders: allHeaders.filter(h => h.endpoint_id === ep.id && h.direction === 'response').map(h => ({ name: h.name, value: h.value })),
+            queryParams: allParams.filter(p => p.endpoint_id === ep.id).map(p => ({
+                name: p.name, description: p.description, required: p.required === 1,
+                defaultValue: p.default_value, validValues: p.valid_values ? JSON.parse(p.valid_values) : undefined,
+                type: p.param_type, min: p.min_value, max: p.max_value, minLength: p.min_length, maxLength: p.max_length, pattern: p.pattern,
+                aliases: p.aliases ? JSON.parse(p.aliases) : undefined, upstreamName: p.upstream_name, valueMap: p.value_map ? JSON.parse(p.value_map) : undefined, location: p.location
+            })),
+            proxySettings: { imageUrlField: ep.proxy_image_url_field, imageUrlFieldFromParam: ep.proxy_image_url_field_from_param === 1, fallbackAction: ep.proxy_fallback_action, extractMode: ep.proxy_extract_mode, resultMode: ep.proxy_result_mode, pickMode: ep.proxy_pick_mode },
+            urlConstruction: ep.url_construction,
+            modelName: ep.model_name,
+            requireApiKey: ep.require_api_key === 1,
+            upstreamMethod: ep.upstream_method,
+            bodyTemplate: ep.body_template,
+            includeInPrompt: ep.include_in_prompt !== 0,
+            responseCache: { ttl: ep.response_cache_ttl, staleWhileRevalidate: ep.response_cache_swr, store: ep.response_cache_store },
+            dedup: { window: ep.dedup_window, scope: ep.dedup_scope, retries: ep.dedup_retries },
+            enabled: ep.enabled !== 0,
+            availability: { windows: ep.available_windows ? JSON.parse(ep.available_windows) : [], expiresAt: ep.expires_at, whenUnavailable: ep.unavailable_action, message: ep.unavailable_message, fallbackKey: ep.unavailable_fallback },
+            aggregate: { strategy: ep.aggregate_strategy, group: ep.aggregate_group, type: ep.aggregate_type, targets: allTargets.filter(t => t.endpoint_id === ep.id).map(t => ({ key: t.target_key, weight: t.weight })) }
+        });
+        versions[ep.api_key] = ep.updated_at;
+    }
+    return { config, versions };
+}
+
+function writeConfigBackup() {
+    if (!enableFileOperations) return;
+    try { fs.writeFileSync(configPath, JSON.stringify(currentConfig, null, 2), 'utf8'); } catch (e) { console.error('Backup write failed:', e); }
+}
+
+function refreshConfig() {
+    const { config, versions } = readConfigFromDb();
+    currentConfig = config;
+    endpointVersions = versions;
+    writeConfigBackup();
+}
+
+function writeQueryParams(endpointId, queryParams) {
+    db.prepare('DELETE FROM query_params WHERE endpoint_id = ?').run(endpointId);
+    const insertParam = db.prepare('INSERT INTO query_params (endpoint_id, name, description, required, default_value, valid_values, param_type, min_value, max_value, min_length, max_length, pattern, aliases, upstream_name, value_map, location, sort_order) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+    queryParams.forEach((param, i) => insertParam.run(
+        endpointId, param.name, param.description, param.required ? 1 : 0, param.defaultValue ?? null, param.validValues ? JSON.stringify(param.validValues) : null,
+        param.type || null, param.min ?? null, param.max ?? null, param.minLength ?? null, param.maxLength ?? null, param.pattern || null,
+        param.aliases ? JSON.stringify(param.aliases) : null, param.upstreamName || null, param.valueMap ? JSON.stringify(param.valueMap) : null, param.location || null, i
+    ));
+}
+
+// Column values for api_endpoints; child rows (params, upstreams, headers) are written separately
+function endpointColumns(config) {
+    return {
+        group_name: config.group,
+        description: config.description,
+        url: config.url,
+        method: config.method,
+        // Legacy columns, superseded by URL templates
+        url_construction: null,
+        model_name: null,
+        proxy_image_url_field: config.proxySettings.imageUrlField || null,
+        proxy_image_url_field_from_param: config.proxySettings.imageUrlFieldFromParam ? 1 : 0,
+        proxy_fallback_action: config.proxySettings.fallbackAction,
+        proxy_extract_mode: config.proxySettings.extractMode || 'auto',
+        proxy_result_mode: config.proxySettings.resultMode || 'redirect',
+        proxy_pick_mode: config.proxySettings.pickMode || 'first',
+        type: config.type,
+        upstream_strategy: config.upstreamStrategy,
+        url_weight: config.urlWeight ?? 1,
+        url_priority: config.urlPriority ?? 0,
+        rate_limit_per_minute: config.rateLimit.perMinute,
+        rate_limit_burst: config.rateLimit.burst,
+        rate_limit_scope: config.rateLimit.scope,
+        require_api_key: config.requireApiKey ? 1 : 0,
+        upstream_method: config.upstreamMethod || 'GET',
+        body_template: config.bodyTemplate || null,
+        aggregate_strategy: config.aggregate?.strategy || null,
+        aggregate_group: config.aggregate?.group || null,
+        aggregate_type: config.aggregate?.type || null,
+        include_in_prompt: config.includeInPrompt === false ? 0 : 1,
+        response_cache_ttl: config.responseCache?.ttl || 0,
+        response_cache_swr: config.responseCache?.staleWhileRevalidate || 0,
+        response_cache_store: config.responseCache?.store || 'memory',
+        dedup_window: config.dedup?.window || 0,
+        dedup_scope: config.dedup?.scope || 'endpoint',
+        dedup_retries: config.dedup?.retries ?? 3,
+        enabled: config.enabled === false ? 0 : 1,
+        available_windows: config.availability?.windows ? JSON.stringify(config.availability.windows) : null,
+        expires_at: config.availability?.expiresAt || null,
+        unavailable_action: config.availability?.whenUnavailable || null,
+        unavailable_message: config.availability?.message || null,
+        unavailable_fallback: config.availability?.fallbackKey || null
+    };
+}
+
+function writeEndpoint(apiKey, rawConfig) {
+    const config = normalizeEndpoint(rawConfig);
+    // Cached upstream responses may depend on the old URL, headers or body template
+    purgeResponseCache(apiKey);
+    const columns = endpointColumns(config);
+    const names = Object.keys(columns);
+    db.prepare(`INSERT INTO api_endpoints (api_key, ${names.join(', ')}, updated_at) VALUES (?, ${names.map(() => '?').join(', ')}, strftime('%Y-%m-%d %H:%M:%f', 'now')) ON CONFLICT(api_key) DO UPDATE SET ${names.map(n => `${n}=excluded.${n}`).join(', ')}, updated_at=excluded.updated_at`)
+        .run(apiKey, ...Object.values(columns));
+
+    const row = db.prepare('SELECT id FROM api_endpoints WHERE api_key = ?').get(apiKey);
+    writeQueryParams(row.id, config.queryParams);
+    db.prepare('DELETE FROM endpoint_upstreams WHERE endpoint_id = ?').run(row.id);
+    const insertUpstream = db.prepare('INSERT INTO endpoint_upstreams (endpoint_id, url, weight, priority, sort_order) VALUES (?, ?, ?, ?, ?)');
+    config.upstreams.forEach((u, i) => insertUpstream.run(row.id, u.url, u.weight, u.priority, i));
+    db.prepare('DELETE FROM endpoint_headers WHERE endpoint_id = ?').run(row.id);
+    const insertHeader = db.prepare('INSERT INTO endpoint_headers (endpoint_id, direction, name, value, secret, sort_order) VALUES (?, ?, ?, ?, ?, ?)');
+    config.requestHeaders.forEach((h, i) => insertHeader.run(row.id, 'request', h.name, h.value, h.secret ? 1 : 0, i));
+    config.responseHeaders.forEach((h, i) => insertHeader.run(row.id, 'response', h.name, h.value, 0, i));
+    db.prepare('DELETE FROM endpoint_targets WHERE endpoint_id = ?').run(row.id);
+    const insertTarget = db.prepare('INSERT INTO endpoint_targets (endpoint_id, target_key, weight, sort_order) VALUES (?, ?, ?, ?)');
+    (config.aggregate?.targets || []).forEach((t, i) => insertTarget.run(row.id, t.key, t.weight, i));
+}
+
+function writeSettings({ baseTag = '', protectedGroups = [], promptTemplates = [] } = {}) {
+    db.prepare("INSERT OR REPLACE INTO global_settings (id, base_tag, protected_groups, prompt_templates, updated_at) VALUES (1, ?, ?, ?, datetime('now'))")
+        .run(baseTag || '', JSON.stringify([...new Set((protectedGroups || []).map(String).filter(Boolean))]), JSON.stringify(normalizePromptTemplates(promptTemplates)));
+}
+
+function renameEndpoint(apiKey, newKey) {
+    db.prepare("UPDATE api_endpoints SET api_key = ?, updated_at = strftime('%Y-%m-%d %H:%M:%f', 'now') WHERE api_key = ?").run(newKey, apiKey);
+    db.prepare('UPDATE media_cache SET api_key = ? WHERE api_key = ?').run(newKey, apiKey);
+    db.prepare('UPDATE collection_items SET api_key = ? WHERE api_key = ?').run(newKey, apiKey);
+    purgeResponseCache(apiKey);
+    clearServedHistory(apiKey);
+    db.prepare('DELETE FROM endpoint_health WHERE api_key = ?').run(apiKey);
+    // Aggregates keep pointing at the renamed endpoint
+    db.prepare("UPDATE api_endpoints SET updated_at = strftime('%Y-%m-%d %H:%M:%f', 'now') WHERE id IN (SELECT endpoint_id FROM endpoint_targets WHERE target_key = ?)").run(apiKey);
+    db.prepare('UPDATE endpoint_targets SET target_key = ? WHERE target_key = ?').run(newKey, apiKey);
+    db.prepare("UPDATE api_endpoints SET unavailable_fallback = ?, updated_at = strftime('%Y-%m-%d %H:%M:%f', 'now') WHERE unavailable_fallback = ?").run(newKey, apiKey);
+}
+
+function deleteEndpoint(apiKey) {
+    db.prepare('DELETE FROM api_endpoints WHERE api_key = ?').run(apiKey);
+    purgeResponseCache(apiKey);
+    clearServedHistory(apiKey);
+}
+
+// Rows still carrying a legacy urlConstruction are already migrated in memory by normalizeEndpoint; persist that once
+function migrateLegacyEndpoints() {
+    const legacy = db.prepare('SELECT api_key FROM api_endpoints WHERE url_construction IS NOT NULL').all();
+    if (!legacy.length) return;
+    mutateEndpoints(() => legacy.forEach(({ api_key }) => writeEndpoint(api_key, currentConfig.apiUrls[api_key])), { author: 'system', note: 'Migrated special URL constructions to URL templates' });
+    console.log(`Migrated ${legacy.length} endpoint(s) to URL templates.`);
+}
+
+function loadConfig() {
+    try {
+        const endpointCount = db.prepare('SELECT COUNT(*) as count FROM api_endpoints').get();
+
+        if (endpointCount.count > 0) {
+            refreshConfig();
+            migrateLegacyEndpoints();
+            console.log(`Configuration loaded: ${Object.keys(currentConfig.apiUrls).length} endpoints.`);
+        } else if (fs.existsSync(configPath)) {
+            // Seed the database so that per-endpoint changes start from the file contents
+            const result = saveConfig(JSON.parse(fs.readFileSync(configPath, 'utf8')), { author: 'system', note: 'Imported from config.json' });
+            if (!result.success) throw new Error(result.error);
+            console.log('Configuration loaded from local file.');
+        } else {
+            console.log('No configuration found. Using default.');
+            currentConfig = { apiUrls: {}, baseTag: '' };
+        }
+    } catch (error) {
+        console.error('Error loading configuration:', error);
+        currentConfig = { apiUrls: {}, baseTag: '' };
+    }
+}
+
+function saveConfig(newConfig, change = {}) {
+    try {
+        const saveTransaction = db.transaction(() => {
+            // Older clients and config files know nothing about prompt templates; keep the stored ones
+            writeSettings({ ...newConfig, promptTemplates: newConfig.promptTemplates ?? currentConfig.promptTemplates });
+
+            const existingKeys = db.prepare('SELECT api_key FROM api_endpoints').all().map(r => r.api_key);
+            const newKeys = Object.keys(newConfig.apiUrls);
+
+            existingKeys.filter(k => !newKeys.includes(k)).forEach(deleteEndpoint);
+
+            // Unchanged endpoints keep their updated_at so concurrent editors' ETags stay valid
+            for (const [apiKey, config] of Object.entries(newConfig.apiUrls)) {
+                if (endpointChanged(existingKeys.includes(apiKey) && currentConfig.apiUrls[apiKey], config)) writeEndpoint(apiKey, config);
+            }
+        });
+        const before = currentConfig;
+        saveTransaction();
+        refreshConfig();
+        auditConfigChange(before, change);
+        recordRevision(change);
+        console.log('Configuration saved to database.');
+        return { success: true, message: 'Configuration saved successfully.' };
+    } catch (error) {
+        console.error('Error saving configuration:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// === Endpoint Resources ===
+function isValidApiKey(apiKey) {
+    return typeof apiKey === 'string' && /^[^\s\/?#&=%@:;+!*'(),[\]<>{}|\\^`".]+$/.test(apiKey) && !reservedPaths.includes(apiKey);
+}
+
+function validateEndpointInput(apiKey, config) {
+    if (!isValidApiKey(apiKey)) return `Invalid endpoint key: ${apiKey ?? ''}`;
+    if (!config || typeof config !== 'object') return 'Invalid endpoint configuration.';
+    const invalidAvailability = validateAvailability(apiKey, config);
+    if (invalidAvailability) return invalidAvailability;
+    if (config.method === 'aggregate') return validateAggregateInput(apiKey, config);
+    if (!config.url && !config.urlConstruction && config.method !== 'collection') return `Endpoint /${apiKey} requires a url.`;
+    const invalidUpstream = validateUpstreams(config);
+    if (invalidUpstream) return invalidUpstream;
+    const invalidTemplate = [config.url, ...(config.upstreams || []).map(u => u?.url)].map(validateUrlTemplate).find(Boolean);
+    if (invalidTemplate) return invalidTemplate;
+    if (config.queryParams !== undefined && !Array.isArray(config.queryParams)) return 'queryParams must be an array.';
+    if ((config.queryParams || []).some(p => !p?.name)) return 'Every query parameter needs a name.';
+    const invalidParam = validateQueryParams(config.queryParams || []);
+    if (invalidParam) return invalidParam;
+    for (const field of ['requestHeaders', 'responseHeaders']) {
+        if (config[field] === undefined) continue;
+        if (!Array.isArray(config[field])) return `${field} must be an array.`;
+        const invalid = config[field].find(h => !headerNamePattern.test(String(h?.name ?? '').trim()) || /[\r\n]/.test(String(h?.value ?? '')));
+        if (invalid) return `Invalid header in ${field}: ${invalid?.name ?? ''}`;
+    }
+    if (config.upstreamMethod && !upstreamMethods.includes(config.upstreamMethod)) return `upstreamMethod must be one of: ${upstreamMethods.join(', ')}.`;
+    if (config.upstreamMethod && config.upstreamMethod !== 'GET' && !['proxy', 'cache'].includes(config.method)) return `Endpoint /${apiKey} must use the proxy or cache method to send ${config.upstreamMethod} requests.`;
+    if (config.responseCache !== undefined) {
+        const { ttl = 0, staleWhileRevalidate = 0, store = 'memory' } = config.responseCache || {};
+        if (![ttl, staleWhileRevalidate].every(v => Number.isInteger(Number(v)) && Number(v) >= 0)) return 'responseCache.ttl and responseCache.staleWhileRevalidate must be non-negative whole seconds.';
+        if (!responseCacheStoreNames.includes(store)) return `responseCache.store must be one of: ${responseCacheStoreNames.join(', ')}.`;
+        if (Number(ttl) > 0 && config.method !== 'proxy') return `Endpoint /${apiKey} must use the proxy method to cache responses.`;
+    }
+    if (config.dedup !== undefined) {
+        const { window = 0, scope = 'endpoint', retries = 3 } = config.dedup || {};
+        if (!Number.isInteger(Number(window)) || Number(window) < 0 || Number(window) > dedupMaxWindow) return `dedup.window must be a whole number between 0 and ${dedupMaxWindow}.`;
+        if (!Number.isInteger(Number(retries)) || Number(retries) < 0 || Number(retries) > dedupMaxRetries) return `dedup.retries must be a whole number between 0 and ${dedupMaxRetries}.`;
+        if (!dedupScopes.includes(scope)) return `dedup.scope must be one of: ${dedupScopes.join(', ')}.`;
+        if (Number(window) > 0 && config.method !== 'proxy') return `Endpoint /${apiKey} must use the proxy method to skip repeated images.`;
+    }
+    if (config.bodyTemplate) {
+        try { JSON.parse(config.bodyTemplate); } catch (error) { return `bodyTemplate is not valid JSON: ${error.message}`; }
+    }
+    const invalidExtraction = validateExtraction(config);
+    if (invalidExtraction) return invalidExtraction;
+    const reserved = (config.responseHeaders || []).find(h => reservedResponseHeaders.includes(String(h.name).trim().toLowerCase()));
+    if (reserved) return `Response header ${reserved.name} cannot be overridden.`;
+    return null;
+}
+
+// Whole-config saves (POST /config, revision restore) check every endpoint the same way as single-endpoint saves
+function validateFullConfig(config) {
+    if (!config?.apiUrls || typeof config.apiUrls !== 'object') return 'Invalid configuration format.';
+    for (const [key, entry] of Object.entries(config.apiUrls)) {
+        const invalid = validateEndpointInput(key, entry);
+        if (invalid) return `/${key}: ${invalid}`;
+    }
+    const aggregateProblem = validateAggregates(config.apiUrls);
+    if (aggregateProblem) return aggregateProblem;
+    return config.promptTemplates !== undefined ? validatePromptTemplates(config.promptTemplates) : null;
+}
+
+// The primary url takes part in selection with `urlWeight`/`urlPriority`, checked like the backup entries
+function validateUpstreams(config) {
+    if (config.upstreams !== undefined && !Array.isArray(config.upstreams)) return 'upstreams must be an array.';
+    const isWhole = value => value === undefined || value === null || value === '' || Number.isInteger(Number(value));
+    const entries = [['urlWeight', config.urlWeight, config.urlPriority, 'urlPriority'], ...(config.upstreams || []).map((u, i) => [`upstreams[${i}].weight`, u?.weight, u?.priority, `upstreams[${i}].priority`])];
+    for (const [weightField, weight, priority, priorityField] of entries) {
+        if (!isWhole(weight) || Number(weight) < 0) return `${weightField} must be a non-negative whole number.`;
+        if (!isWhole(priority)) return `${priorityField} must be a whole number.`;
+    }
+    return null;
+}
+
+const upstreamMethods = ['GET', 'POST', 'PUT'];
+const responseCacheStoreNames = ['memory', 'sqlite'];
+const dedupScopes = ['endpoint', 'ip', 'cookie'];
+const dedupMaxWindow = 100;
+const dedupMaxRetries = 10;
+const unavailableActions = ['not_found', 'unavailable', 'fallback'];
+const timeOfDayPattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function validateAvailability(apiKey, config) {
+    if (config.enabled !== undefined && typeof config.enabled !== 'boolean') return 'enabled must be true or false.';
+    if (config.availability === undefined) return null;
+    if (!config.availability || typeof config.availability !== 'object') return 'availability must be an object.';
+    const { windows = [], expiresAt, whenUnavailable = 'not_found', fallbackKey } = config.availability;
+    if (!Array.isArray(windows)) return 'availability.windows must be an array.';
+    const invalidWindow = windows.find(w => !timeOfDayPattern.test(w?.start) || !timeOfDayPattern.test(w?.end) || w.start === w.end);
+    if (invalidWindow) return `Invalid time window ${invalidWindow?.start ?? ''}-${invalidWindow?.end ?? ''}; use HH:MM-HH:MM with different start and end.`;
+    if (expiresAt && Number.isNaN(Date.parse(expiresAt))) return 'availability.expiresAt must be a date.';
+    if (!unavailableActions.includes(whenUnavailable)) return `availability.whenUnavailable must be one of: ${unavailableActions.join(', ')}.`;
+    if (whenUnavailable === 'fallback' && !isValidApiKey(fallbackKey)) return `Endpoint /${apiKey} needs a fallback endpoint.`;
+    if (whenUnavailable === 'fallback' && fallbackKey === apiKey) return `Endpoint /${apiKey} cannot fall back to itself.`;
+    return null;
+}
+const aggregateStrategies = ['random', 'weighted', 'alias'];
+
+function validateAggregateInput(apiKey, config) {
+    const { strategy = 'random', targets = [], group, type } = config.aggregate || {};
+    if (!aggregateStrategies.includes(strategy)) return `aggregate.strategy must be one of: ${aggregateStrategies.join(', ')}.`;
+    if (!Array.isArray(targets)) return 'aggregate.targets must be an array.';
+    const keys = targets.map(t => typeof t === 'string' ? t : t?.key);
+    if (keys.some(key => !key)) return 'Every aggregate target needs a key.';
+    if (keys.includes(apiKey)) return `Aggregate /${apiKey} cannot target itself.`;
+    if (strategy === 'alias' && (keys.length !== 1 || group || type)) return `Alias /${apiKey} must have exactly one target.`;
+    if (!keys.length && !group && !type) return `Aggregate /${apiKey} needs targets, a group or a type.`;
+    return null;
+}
+
+function validateExtraction(config) {
+    if (!config?.proxySettings?.imageUrlField) return null;
+    try { compileExtraction(config.proxySettings.imageUrlField); } catch (error) { return `proxySettings.imageUrlField: ${error.message}`; }
+    return null;
+}
+
+// Secret request header values never leave the server; the admin UI sends the mask back to keep them
+const secretMask = '********';
+const headerNamePattern = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const reservedResponseHeaders = ['content-length', 'transfer-encoding', 'connection', 'content-encoding'];
+
+function maskSecrets(config) {
+    if (!config?.requestHeaders?.some(h => h.secret)) return config;
+    return { ...config, requestHeaders: config.requestHeaders.map(h => h.secret && h.value ? { ...h, value: secretMask } : h) };
+}
+
+function maskConfigSecrets(config) {
+    return { ...config, apiUrls: Object.fromEntries(Object.entries(config.apiUrls || {}).map(([key, entry]) => [key, maskSecrets(entry)])) };
+}
+
+function maskDiffSecrets(diff) {
+    diff.changed.forEach(({ fields }) => fields.filter(f => f.field === 'requestHeaders').forEach(f => {
+        f.before = maskSecrets({ requestHeaders: f.before }).requestHeaders;
+        f.after = maskSecrets({ requestHeaders: f.after }).requestHeaders;
+    }));
+    return diff;
+}
+
+function unmaskSecrets(config, previous) {
+    if (!Array.isArray(config?.requestHeaders)) return config;
+    const previousHeaders = previous?.requestHeaders || [];
+    return {
+        ...config,
+        requestHeaders: config.requestHeaders.map(h => h?.value === secretMask ? { ...h, value: previousHeaders.find(p => p.name.toLowerCase() === String(h.name).trim().toLowerCase())?.value ?? '' } : h)
+    };
+}
+
+function endpointEtag(apiKey) {
+    const version = endpointVersions[apiKey];
+    return version ? `"${version.replace(' ', 'T')}"` : null;
+}
+
+function endpointResource(apiKey) {
+    return { key: apiKey, etag: endpointEtag(apiKey), ...maskSecrets(currentConfig.apiUrls[apiKey]) };
+}
+
+function checkPreconditions(req, res, apiKey) {
+    const etag = endpointEtag(apiKey);
+    const ifMatch = req.get('If-Match');
+    const ifNoneMatch = req.get('If-None-Match');
+    const matches = header => header.split(',').map(v => v.trim()).some(v => v === '*' ? !!etag : v === etag);
+    if ((ifMatch && !matches(ifMatch)) || (ifNoneMatch && matches(ifNoneMatch))) {
+        res.status(412).json({ error: `Endpoint /${apiKey} was modified by someone else.`, etag });
+        return false;
+    }
+    return true;
+}
+
+function mutateEndpoints(mutation, change = {}) {
+    const before = currentConfig;
+    db.transaction(mutation)();
+    refreshConfig();
+    auditConfigChange(before, change);
+    recordRevision(change);
+}
+
+// === Config Revisions ===
+function diffConfigs(before = {}, after = {}) {
+    const beforeApis = before.apiUrls || {};
+    const afterApis = after.apiUrls || {};
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const key of Object.keys(afterApis)) {
+        if (!beforeApis[key]) { diff.added.push(key); continue; }
+        const a = normalizeEndpoint(beforeApis[key]);
+        const b = normalizeEndpoint(afterApis[key]);
+        const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+            .filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+            .map(field => ({ field, before: a[field], after: b[field] }));
+        if (fields.length) diff.changed.push({ key, fields });
+    }
+    diff.removed = Object.keys(beforeApis).filter(key => !afterApis[key]);
+    if ((before.baseTag || '') !== (after.baseTag || '')) diff.baseTag = { before: before.baseTag || '', after: after.baseTag || '' };
+    if (JSON.stringify(before.protectedGroups || []) !== JSON.stringify(after.protectedGroups || [])) diff.protectedGroups = { before: before.protectedGroups || [], after: after.protectedGroups || [] };
+    if (JSON.stringify(before.promptTemplates || []) !== JSON.stringify(after.promptTemplates || [])) diff.promptTemplates = { before: before.promptTemplates || [], after: after.promptTemplates || [] };
+    return diff;
+}
+
+function getRevision(id) {
+    const row = db.prepare('SELECT * FROM config_revisions WHERE id = ?').get(id);
+    return row ? { ...row, summary: row.summary ? JSON.parse(row.summary) : null, data: JSON.parse(row.data) } : null;
+}
+
+function recordRevision({ author = null, note = null } = {}) {
+    try {
+        const latest = db.prepare('SELECT data FROM config_revisions ORDER BY id DESC LIMIT 1').get();
+        const data = JSON.stringify(currentConfig);
+        if (latest?.data === data) return;
+
+        const diff = diffConfigs(latest ? JSON.parse(latest.data) : {}, currentConfig);
+        const summary = { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length };
+        db.prepare('INSERT INTO config_revisions (author, note, summary, data) VALUES (?, ?, ?, ?)').run(author, note, JSON.stringify(summary), data);
+
+        if (configRevisionLimit > 0) {
+            db.prepare('DELETE FROM config_revisions WHERE id NOT IN (SELECT id FROM config_revisions ORDER BY id DESC LIMIT ?)').run(configRevisionLimit);
+        }
+    } catch (error) {
+        console.error('Failed to record config revision:', error);
+    }
+}
+
+function getChangeContext(req) {
+    const header = req.get('X-Revision-Note');
+    let note = null;
+    if (header) {
+        try { note = decodeURIComponent(header); } catch { note = header; }
+    }
+    return { author: req.user?.username || null, note, ip: req.ip };
+}
+
+// === Import / Export ===
+const importModes = ['replace', 'merge', 'skip'];
+
+function buildExport({ groups, includeSecrets = false } = {}) {
+    const source = includeSecrets ? currentConfig : maskConfigSecrets(currentConfig);
+    const apiUrls = Object.fromEntries(Object.entries(source.apiUrls).filter(([, entry]) => !groups?.length || groups.includes(entry.group)));
+    return { version: 1, exportedAt: new Date().toISOString(), baseTag: source.baseTag || '', protectedGroups: source.protectedGroups || [], promptTemplates: source.promptTemplates || [], apiUrls };
+}
+
+// YAML is a superset of JSON, so one parser handles both formats. Duplicate keys are reported instead of
+// silently keeping the last one, which is what JSON.parse would do.
+function parseImport(content) {
+    const doc = YAML.parseDocument(String(content ?? ''), { uniqueKeys: false });
+    const fatal = doc.errors[0];
+    if (fatal) return { errors: [{ message: `Parse error: ${fatal.message.split('\n')[0].replace(/:$/, '')}` }] };
+
+    const errors = [];
+    const apiUrlsNode = doc.get('apiUrls', true);
+    if (YAML.isMap(apiUrlsNode)) {
+        const seen = new Set();
+        for (const item of apiUrlsNode.items) {
+            const key = String(YAML.isScalar(item.key) ? item.key.value : item.key);
+            if (seen.has(key)) errors.push({ key, message: `Duplicate endpoint key /${key}` });
+            seen.add(key);
+        }
+    }
+    return { data: doc.toJS(), errors };
+}
+
+function validateImportedEndpoint(key, entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return [{ key, message: 'Endpoint must be an object.' }];
+    const errors = [];
+    const invalid = validateEndpointInput(key, entry);
+    if (invalid) errors.push({ key, message: invalid });
+
+    const urls = ['aggregate', 'collection'].includes(entry.method) ? [] : [['url', entry.url], ...(Array.isArray(entry.upstreams) ? entry.upstreams : []).map((u, i) => [`upstreams[${i}].url`, u?.url])];
+    for (const [field, url] of urls) {
+        // Templates are checked for syntax only; `/path` URLs redirect to another local endpoint
+        if (!url || isUrlTemplate(url) || String(url).startsWith('/')) continue;
+        let parsed;
+        try { parsed = new URL(url); } catch {}
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) errors.push({ key, field, message: `Invalid URL: ${url}` });
+    }
+
+    (Array.isArray(entry.queryParams) ? entry.queryParams : []).forEach((param, i) => {
+        const field = `queryParams[${i}]`;
+        if (param?.validValues === undefined || param.validValues === null) return;
+        if (!Array.isArray(param.validValues)) return errors.push({ key, field, message: `validValues of '${param.name}' must be an array.` });
+        const values = param.validValues.map(v => typeof v === 'string' || typeof v === 'number' ? String(v).trim() : null);
+        if (values.some(v => !v)) errors.push({ key, field, message: `validValues of '${param.name}' must be non-empty strings or numbers.` });
+        if (new Set(values).size !== values.length) errors.push({ key, field, message: `validValues of '${param.name}' contain duplicates.` });
+        if (param.defaultValue !== undefined && param.defaultValue !== null && param.defaultValue !== '' && values.length && !values.includes(String(param.defaultValue))) {
+            errors.push({ key, field, message: `defaultValue '${param.defaultValue}' of '${param.name}' is not one of its validValues.` });
+        }
+    });
+    return errors;
+}
+
+// Prompt templates follow the endpoint rules, matched by name
+function mergePromptTemplates(current, incoming, mode) {
+    const byName = new Map(current.map(t => [t.name, t]));
+    incoming.forEach(t => { if (mode === 'merge' || !byName.has(t.name)) byName.set(t.name, t); });
+    return [...byName.values()];
+}
+
+// replace: the file becomes the whole config; merge: file entries overwrite existing ones; skip: only new keys are added
+function mergeImport(imported, mode) {
+    const incoming = Object.fromEntries(Object.entries(imported.apiUrls).map(([key, entry]) => [key, unmaskSecrets(entry, currentConfig.apiUrls[key])]));
+    if (mode === 'replace') {
+        return {
+            baseTag: imported.baseTag ?? currentConfig.baseTag,
+            protectedGroups: imported.protectedGroups ?? currentConfig.protectedGroups,
+            promptTemplates: imported.promptTemplates ?? currentConfig.promptTemplates,
+            apiUrls: incoming
+        };
+    }
+    const kept = mode === 'skip' ? Object.fromEntries(Object.entries(incoming).filter(([key]) => !currentConfig.apiUrls[key])) : incoming;
+    return {
+        baseTag: mode === 'merge' ? imported.baseTag ?? currentConfig.baseTag : currentConfig.baseTag,
+        protectedGroups: mode === 'merge' ? [...new Set([...currentConfig.protectedGroups || [], ...imported.protectedGroups || []])] : currentConfig.protectedGroups,
+        promptTemplates: mergePromptTemplates(currentConfig.promptTemplates || [], imported.promptTemplates || [], mode),
+        apiUrls: { ...currentConfig.apiUrls, ...kept }
+    };
+}
+
+function planImport(content, mode) {
+    const { data, errors } = parseImport(content);
+    if (data === undefined) return { errors };
+    if (!data || typeof data !== 'object' || !data.apiUrls || typeof data.apiUrls !== 'object' || Array.isArray(data.apiUrls)) {
+        return { errors: [...errors, { message: 'The file must contain an apiUrls object.' }] };
+    }
+    if (data.baseTag !== undefined && typeof data.baseTag !== 'string') errors.push({ field: 'baseTag', message: 'baseTag must be a string.' });
+    if (data.protectedGroups !== undefined && !Array.isArray(data.protectedGroups)) errors.push({ field: 'protectedGroups', message: 'protectedGroups must be an array.' });
+    const templateProblem = data.promptTemplates !== undefined && validatePromptTemplates(data.promptTemplates);
+    if (templateProblem) errors.push({ field: 'promptTemplates', message: templateProblem });
+    for (const [key, entry] of Object.entries(data.apiUrls)) errors.push(...validateImportedEndpoint(key, entry));
+    if (errors.length) return { errors };
+
+    const config = mergeImport(data, mode);
+    const aggregateProblem = validateAggregates(config.apiUrls);
+    if (aggregateProblem) return { errors: [{ message: aggregateProblem }] };
+    return { errors, config, diff: diffConfigs(currentConfig, config) };
+}
+
+// === Audit Log ===
+function recordAudit({ author = null, ip = null } = {}, action, target = null, detail = null) {
+    try {
+        db.prepare('INSERT INTO audit_log (username, action, target, detail, client_ip) VALUES (?, ?, ?, ?, ?)').run(author, action, target, detail ? JSON.stringify(detail) : null, ip);
+    } catch (error) {
+        console.error('Failed to record audit entry:', error);
+    }
+}
+
+// One entry per endpoint touched by a save, attributed to the acting user
+function auditConfigChange(before, change = {}) {
+    const diff = diffConfigs(before, currentConfig);
+    const note = change.note ? { note: change.note } : null;
+    diff.added.forEach(key => recordAudit(change, 'endpoint.create', key, note));
+    diff.changed.forEach(({ key, fields }) => recordAudit(change, 'endpoint.update', key, { fields: fields.map(f => f.field), ...note }));
+    diff.removed.forEach(key => recordAudit(change, 'endpoint.delete', key, note));
+    if (diff.baseTag) recordAudit(change, 'settings.update', 'baseTag', diff.baseTag);
+    if (diff.protectedGroups) recordAudit(change, 'settings.update', 'protectedGroups', diff.protectedGroups);
+    if (diff.promptTemplates) recordAudit(change, 'settings.update', 'promptTemplates', { before: diff.promptTemplates.before.map(t => t.name), after: diff.promptTemplates.after.map(t => t.name) });
+}
+
+function getAuditLog({ limit = 100, username, target } = {}) {
+    const filters = [];
+    const params = [];
+    if (username) { filters.push('username = ?'); params.push(username); }
+    if (target) { filters.push('target = ?'); params.push(target); }
+    const where = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
+    return db.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ?`).all(...params, limit)
+        .map(r => ({ ...r, detail: r.detail ? JSON.parse(r.detail) : null }));
+}
+
+// === Utility Functions ===
+function toInt(value, fallback) {
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) ? fallback : n;
+}
+
+function buildTargetUrl(baseUrl, params) {
+    if (!Object.keys(params).length) return baseUrl;
+    try {
+        const url = new URL(baseUrl);
+        Object.entries(params).forEach(([k, v]) => url.searchParams.append(k, v));
+        return url.toString();
+    } catch {
+        return baseUrl + (baseUrl.includes('?') ? '&' : '?') + new URLSearchParams(params).toString();
+    }
+}
+
+// URL templates: `{{name}}` inserts the URL-encoded parameter, `{{name:raw}}` inserts it unencoded,
+// `{{name|fallback}}` supplies a default and `{{$baseTag}}` the global base tag.
+// `{{#name}}…{{/name}}` keeps its content only when the parameter is non-empty, `{{^name}}…{{/name}}` only when it is empty.
+// Parameters referenced by the template are not appended to the query string again.
+const urlSectionPattern = /\{\{([#^])\s*(\$?[\w.-]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const urlPlaceholderPattern = /\{\{\s*(\$?[\w.-]+)(:raw)?(?:\|([^}]*))?\s*\}\}/g;
+
+function isUrlTemplate(url) {
+    return typeof url === 'string' && url.includes('{{');
+}
+
+function renderUrlTemplate(template, params) {
+    const used = new Set();
+    const lookup = name => {
+        used.add(name);
+        return name === '$baseTag' ? currentConfig.baseTag || '' : params[name];
+    };
+    let url = template;
+    for (let previous; previous !== url;) {
+        previous = url;
+        url = url.replace(urlSectionPattern, (_, kind, name, content) => (lookup(name) ? kind === '#' : kind === '^') ? content : '');
+    }
+    url = url.replace(urlPlaceholderPattern, (_, name, raw, fallback) => {
+        const value = lookup(name) || fallback || '';
+        return raw ? value : encodeURIComponent(value);
+    });
+    return { url, used };
+}
+
+function validateUrlTemplate(url) {
+    if (!isUrlTemplate(url)) return null;
+    let rest = url;
+    for (let previous; previous !== rest;) {
+        previous = rest;
+        rest = rest.replace(urlSectionPattern, '$3');
+    }
+    return /\{\{|\}\}/.test(rest.replace(urlPlaceholderPattern, '')) ? `Invalid URL template: ${url}` : null;
+}
+
+// Renders templates and, unless the parameters travel in a request body, appends the ones the template did not use
+// Parameters located in the path are appended as path segments, in declaration order, unless the template used them
+function resolveTargetUrl(url, params, appendParams = true, pathNames = []) {
+    let rendered = url;
+    let rest = params;
+    if (isUrlTemplate(url)) {
+        const result = renderUrlTemplate(url, params);
+        rendered = result.url;
+        rest = Object.fromEntries(Object.entries(params).filter(([name]) => !result.used.has(name)));
+    }
+    rendered = appendPathSegments(rendered, pathNames.filter(name => rest[name] !== undefined).map(name => rest[name]));
+    return appendParams ? buildTargetUrl(rendered, Object.fromEntries(Object.entries(rest).filter(([name]) => !pathNames.includes(name)))) : rendered;
+}
+
+function appendPathSegments(url, segments) {
+    if (!segments.length) return url;
+    const [base, query] = url.split(/\?(.*)/s);
+    return `${base.replace(/\/+$/, '')}/${segments.map(encodeURIComponent).join('/')}${query !== undefined ? `?${query}` : ''}`;
+}
+
+// `{{name}}` placeholders inside JSON strings are replaced with request parameters.
+// A string that is exactly `{{name:number}}`, `{{name:boolean}}` or `{{name:json}}` is replaced by the converted value.
+function renderBodyTemplate(template, params) {
+    const render = value => {
+        if (Array.isArray(value)) return value.map(render);
+        if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, render(v)]));
+        if (typeof value !== 'string') return value;
+
+        const typed = value.match(/^\{\{\s*([\w.-]+):(number|boolean|json)\s*\}\}$/);
+        if (typed) {
+            const raw = params[typed[1]];
+            if (raw === undefined) return null;
+            if (typed[2] === 'number') return Number(raw);
+            if (typed[2] === 'boolean') return raw === 'true' || raw === '1';
+            try { return JSON.parse(raw); } catch { return raw; }
+        }
+        return value.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, name) => params[name] ?? '');
+    };
+    return render(JSON.parse(template));
+}
+
+function buildRequestBody(configEntry, params, pathNames = []) {
+    if (configEntry.bodyTemplate) return renderBodyTemplate(configEntry.bodyTemplate, params);
+    return Object.fromEntries(Object.entries(params).filter(([name]) => !pathNames.includes(name)));
+}
+
+const imageSignatures = [
+    ['image/png', [0x89, 0x50, 0x4e, 0x47]],
+    ['image/jpeg', [0xff, 0xd8, 0xff]],
+    ['image/gif', [0x47, 0x49, 0x46, 0x38]],
+    ['image/bmp', [0x42, 0x4d]]
+];
+
+function sniffImageType(buffer) {
+    if (buffer.length > 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    if (buffer.length > 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+        const brand = buffer.toString('ascii', 8, 12);
+        return brand.startsWith('avi') ? 'image/avif' : brand === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+    }
+    if (buffer.length > 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) return 'video/webm';
+    if (/^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(buffer.toString('utf8', 0, 256))) return 'image/svg+xml';
+    return imageSignatures.find(([, bytes]) => bytes.every((b, i) => buffer[i] === b))?.[0] || null;
+}
+
+// Image APIs may answer with a data URI or bare base64 (e.g. OpenAI `b64_json`) instead of a link
+function decodeInlineImage(value) {
+    if (typeof value !== 'string') return null;
+    const dataUri = value.match(/^data:([\w.+-]+\/[\w.+-]+)?(;[^,]*)?,/);
+    if (dataUri) {
+        const payload = value.slice(dataUri[0].length);
+        let buffer;
+        try { buffer = dataUri[2]?.includes('base64') ? Buffer.from(payload, 'base64') : Buffer.from(decodeURIComponent(payload)); } catch { return null; }
+        return { buffer, contentType: dataUri[1] || sniffImageType(buffer) || 'application/octet-stream' };
+    }
+    if (value.length < 64 || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(value.replace(/\s/g, ''))) return null;
+    const buffer = Buffer.from(value, 'base64');
+    const contentType = sniffImageType(buffer);
+    return contentType ? { buffer, contentType } : null;
+}
+
+function sameOrigin(a, b) {
+    try { return new URL(a).origin === new URL(b, a).origin; } catch { return false; }
+}
+
+function buildRequestHeaders(configEntry) {
+    const headers = Object.fromEntries((configEntry.requestHeaders || []).map(h => [h.name, h.value]));
+    return Object.keys(headers).length ? headers : undefined;
+}
+
+function applyResponseHeaders(configEntry, res) {
+    (configEntry.responseHeaders || []).forEach(h => res.set(h.name, h.value));
+}
+
+// === Query Parameters ===
+// Besides `required`, `defaultValue` and `validValues`, a parameter may declare a `type` with `min`/`max` (numbers),
+// `minLength`/`maxLength` and a `pattern` that must match the whole value. Callers may use any of its `aliases`;
+// upstream it is sent as `upstreamName` (templates and body templates use that name too) after `valueMap` is applied,
+// in the query string or, with `location: 'path'`, as a path segment.
+const paramTypes = ['string', 'integer', 'float', 'boolean', 'enum'];
+const paramLocations = ['query', 'path'];
+const booleanParamValues = { true: true, 1: true, yes: true, on: true, false: false, 0: false, no: false, off: false };
+const paramPatternCache = new Map();
+
+function isNumeric(value) {
+    return value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value));
+}
+
+function normalizeQueryParam(p) {
+    const param = {
+        name: p.name || '',
+        description: p.description || '',
+        required: !!p.required,
+        defaultValue: p.defaultValue === undefined || p.defaultValue === null || p.defaultValue === '' ? undefined : String(p.defaultValue),
+        validValues: p.validValues?.length ? p.validValues.map(String) : undefined
+    };
+    if (paramTypes.includes(p.type) && p.type !== 'string') param.type = p.type;
+    for (const rule of ['min', 'max']) {
+        if (isNumeric(p[rule])) param[rule] = Number(p[rule]);
+    }
+    for (const rule of ['minLength', 'maxLength']) {
+        if (isNumeric(p[rule]) && Number(p[rule]) >= 0) param[rule] = toInt(p[rule], 0);
+    }
+    if (p.pattern) param.pattern = String(p.pattern);
+    const aliases = (Array.isArray(p.aliases) ? p.aliases : []).map(a => String(a).trim()).filter(Boolean);
+    if (aliases.length) param.aliases = aliases;
+    if (p.upstreamName && p.upstreamName !== p.name) param.upstreamName = String(p.upstreamName);
+    if (p.valueMap && typeof p.valueMap === 'object' && Object.keys(p.valueMap).length) param.valueMap = Object.fromEntries(Object.entries(p.valueMap).map(([k, v]) => [k, String(v)]));
+    if (p.location === 'path') param.location = 'path';
+    return param;
+}
+
+function compileParamPattern(pattern) {
+    if (!paramPatternCache.has(pattern)) paramPatternCache.set(pattern, new RegExp(`^(?:${pattern})$`));
+    return paramPatternCache.get(pattern);
+}
+
+// Returns `{ value }` with the normalized value, or `{ rule, message }` naming the first rule the value breaks
+function checkParamValue(param, raw) {
+    const type = param.type || 'string';
+    let value = raw;
+    if (type === 'integer' && !/^[-+]?\d+$/.test(raw)) return { rule: 'type', message: 'must be an integer' };
+    if (type === 'float' && !/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(raw)) return { rule: 'type', message: 'must be a number' };
+    if (type === 'boolean') {
+        const flag = booleanParamValues[raw.toLowerCase()];
+        if (flag === undefined) return { rule: 'type', message: 'must be true or false' };
+        value = String(flag);
+    }
+    if (type === 'integer' || type === 'float') {
+        value = raw.replace(/^\+/, '');
+        if (param.min !== undefined && Number(raw) < param.min) return { rule: 'min', message: `must be at least ${param.min}` };
+        if (param.max !== undefined && Number(raw) > param.max) return { rule: 'max', message: `must be at most ${param.max}` };
+    }
+    if (param.validValues && !param.validValues.includes(raw)) return { rule: 'validValues', message: `must be one of: ${param.validValues.join(', ')}` };
+    if (param.minLength !== undefined && raw.length < param.minLength) return { rule: 'minLength', message: `must be at least ${param.minLength} characters` };
+    if (param.maxLength !== undefined && raw.length > param.maxLength) return { rule: 'maxLength', message: `must be at most ${param.maxLength} characters` };
+    if (param.pattern) {
+        // Patterns are checked on save; one that slipped in anyway rejects the request instead of throwing
+        let pattern;
+        try { pattern = compileParamPattern(param.pattern); } catch { return { rule: 'pattern', message: 'has an invalid pattern configured' }; }
+        if (!pattern.test(raw)) return { rule: 'pattern', message: `must match ${param.pattern}` };
+    }
+    return { value };
+}
+
+// Validated, renamed and mapped parameters keyed by their upstream name, plus the names that belong in the path
+function resolveParams(configEntry, query) {
+    const params = {};
+    const pathNames = [];
+    const errors = [];
+    const fail = (param, rule, message) => errors.push({ param: param.name, rule, message: `Parameter '${param.name}' failed rule '${rule}': ${message}` });
+
+    for (const param of (configEntry.queryParams || [])) {
+        if (!param.name) continue;
+        const given = [param.name, ...(param.aliases || [])].find(name => query[name] !== undefined);
+        let value;
+        if (given !== undefined) {
+            const result = checkParamValue(param, [].concat(query[given]).join(','));
+            if (result.rule) {
+                fail(param, result.rule, result.message);
+                continue;
+            }
+            value = result.value;
+        } else if (param.required) {
+            fail(param, 'required', 'must be provided');
+            continue;
+        } else if (param.defaultValue !== undefined) {
+            value = param.defaultValue;
+        } else {
+            continue;
+        }
+        const name = param.upstreamName || param.name;
+        params[name] = param.valueMap && Object.hasOwn(param.valueMap, value) ? param.valueMap[value] : value;
+        if (param.location === 'path') pathNames.push(name);
+    }
+    return { params, pathNames, errors };
+}
+
+function validateQueryParam(p) {
+    const prefix = `Parameter '${p.name}'`;
+    const type = p.type ?? 'string';
+    if (!paramTypes.includes(type)) return `${prefix}: type must be one of: ${paramTypes.join(', ')}.`;
+    if (type === 'enum' && !p.validValues?.length) return `${prefix}: enum parameters need validValues.`;
+    for (const rule of ['min', 'max', 'minLength', 'maxLength']) {
+        if (p[rule] === undefined || p[rule] === null || p[rule] === '') continue;
+        if (!isNumeric(p[rule])) return `${prefix}: ${rule} must be a number.`;
+        if (rule.endsWith('Length') && (!Number.isInteger(Number(p[rule])) || Number(p[rule]) < 0)) return `${prefix}: ${rule} must be a non-negative whole number.`;
+    }
+    if ((isNumeric(p.min) || isNumeric(p.max)) && !['integer', 'float'].includes(type)) return `${prefix}: min and max only apply to integer and float parameters.`;
+    if (isNumeric(p.min) && isNumeric(p.max) && Number(p.min) > Number(p.max)) return `${prefix}: min is greater than max.`;
+    if (isNumeric(p.minLength) && isNumeric(p.maxLength) && Number(p.minLength) > Number(p.maxLength)) return `${prefix}: minLength is greater than maxLength.`;
+    if (p.pattern) {
+        try { compileParamPattern(String(p.pattern)); } catch (error) { return `${prefix}: invalid pattern: ${error.message}`; }
+    }
+    if (p.aliases !== undefined && p.aliases !== null && (!Array.isArray(p.aliases) || p.aliases.some(a => typeof a !== 'string' || !a.trim()))) return `${prefix}: aliases must be an array of names.`;
+    if (p.upstreamName !== undefined && p.upstreamName !== null && typeof p.upstreamName !== 'string') return `${prefix}: upstreamName must be a string.`;
+    if (p.valueMap !== undefined && p.valueMap !== null && (typeof p.valueMap !== 'object' || Array.isArray(p.valueMap) || Object.values(p.valueMap).some(v => !['string', 'number', 'boolean'].includes(typeof v)))) {
+        return `${prefix}: valueMap must map values to strings.`;
+    }
+    if (p.location !== undefined && p.location !== null && !paramLocations.includes(p.location)) return `${prefix}: location must be one of: ${paramLocations.join(', ')}.`;
+    if (p.defaultValue !== undefined && p.defaultValue !== null && p.defaultValue !== '') {
+        // validValues of defaults are checked by the import validator, which reports them per field
+        const result = checkParamValue({ ...normalizeQueryParam(p), validValues: undefined }, String(p.defaultValue));
+        if (result.rule) return `${prefix}: defaultValue fails rule '${result.rule}' (${result.message}).`;
+    }
+    return null;
+}
+
+function validateQueryParams(queryParams) {
+    const seen = new Set();
+    for (const param of queryParams) {
+        const invalid = validateQueryParam(param);
+        if (invalid) return invalid;
+        for (const name of [param.name, ...(Array.isArray(param.aliases) ? param.aliases : [])]) {
+            if (seen.has(name)) return `Parameter name or alias '${name}' is used more than once.`;
+            seen.add(name);
+        }
+    }
+    return null;
+}
+
+// JSON Schema for OpenAPI parameters and tool definitions
+function paramJsonSchema(p) {
+    const type = { integer: 'integer', float: 'number', boolean: 'boolean' }[p.type] || 'string';
+    const schema = { type };
+    if (p.validValues) schema.enum = type === 'string' ? p.validValues : p.validValues.map(v => type === 'boolean' ? booleanParamValues[v.toLowerCase()] : Number(v));
+    if (p.min !== undefined) schema.minimum = p.min;
+    if (p.max !== undefined) schema.maximum = p.max;
+    if (p.minLength !== undefined) schema.minLength = p.minLength;
+    if (p.maxLength !== undefined) schema.maxLength = p.maxLength;
+    if (p.pattern) schema.pattern = `^(?:${p.pattern})$`;
+    if (p.defaultValue !== undefined) schema.default = type === 'string' ? p.defaultValue : type === 'boolean' ? booleanParamValues[p.defaultValue.toLowerCase()] : Number(p.defaultValue);
+    return schema;
+}
+
+// === Response Extraction ===
+// imageUrlField is either a path or `regex:<pattern>`. Paths accept plain dot notation (`data.0.url`) plus
+// JSONPath-style selectors: `$`, `[0]`, `[-1]`, `['key']`, `[*]` / `.*`, `..key` (recursive) and
+// filters like `[?(@.type=='image')]`, `[?(@.width>=512)]` or `[?(@.url)]`.
+// Regex patterns run on the raw body (text, HTML or serialized JSON); the `url` named group or the first group wins.
+const filterOperators = ['==', '!=', '>=', '<=', '>', '<'];
+
+function compileExtraction(expression) {
+    const source = String(expression ?? '').trim();
+    if (!source) throw new Error('Extraction expression is empty');
+    if (source.startsWith('regex:')) {
+        const pattern = source.slice(6).trim();
+        const literal = pattern.match(/^\/(.+)\/([a-z]*)$/s);
+        try {
+            const flags = literal ? [...new Set((literal[2] + 'g').split(''))].join('') : 'g';
+            return { type: 'regex', regex: new RegExp(literal ? literal[1] : pattern, flags) };
+        } catch (error) {
+            throw new Error(`Invalid regex: ${error.message}`);
+        }
+    }
+    return { type: 'path', steps: parsePath(source) };
+}
+
+function parsePath(source) {
+    const steps = [];
+    let i = source.startsWith('$') ? 1 : 0;
+    const readName = () => {
+        const match = source.slice(i).match(/^[^.[\]]+/);
+        if (!match) throw new Error(`Expected a field name at position ${i} in "${source}"`);
+        i += match[0].length;
+        return match[0];
+    };
+
+    if (i < source.length && source[i] !== '.' && source[i] !== '[') steps.push({ type: 'key', name: readName() });
+    while (i < source.length) {
+        if (source.startsWith('..', i)) {
+            i += 2;
+            steps.push(source[i] === '*' ? (i++, { type: 'recursive' }) : { type: 'recursive', name: readName() });
+        } else if (source[i] === '.') {
+            i++;
+            steps.push(source[i] === '*' ? (i++, { type: 'wildcard' }) : { type: 'key', name: readName() });
+        } else if (source[i] === '[') {
+            const end = findBracketEnd(source, i);
+            steps.push(parseSelector(source.slice(i + 1, end).trim(), source));
+            i = end + 1;
+        } else {
+            throw new Error(`Unexpected "${source[i]}" at position ${i} in "${source}"`);
+        }
+    }
+    return steps;
+}
+
+function findBracketEnd(source, start) {
+    let quote = null;
+    for (let i = start + 1; i < source.length; i++) {
+        const ch = source[i];
+        if (quote) { if (ch === quote && source[i - 1] !== '\\') quote = null; }
+        else if (ch === '\'' || ch === '"') quote = ch;
+        else if (ch === ']') return i;
+    }
+    throw new Error(`Unclosed "[" at position ${start} in "${source}"`);
+}
+
+function parseSelector(selector, source) {
+    if (selector === '*') return { type: 'wildcard' };
+    if (/^-?\d+$/.test(selector)) return { type: 'index', index: parseInt(selector, 10) };
+    const quoted = selector.match(/^(['"])(.*)\1$/s);
+    if (quoted) return { type: 'key', name: quoted[2] };
+
+    const filter = selector.match(/^\?\(\s*@((?:\.[^.\s=!<>()]+)*)\s*(?:(==|!=|>=|<=|>|<)\s*(.+?))?\s*\)$/s);
+    if (!filter) throw new Error(`Invalid selector "[${selector}]" in "${source}"`);
+    const path = filter[1].split('.').filter(Boolean);
+    if (!filter[2]) return { type: 'filter', path };
+    return { type: 'filter', path, operator: filter[2], value: parseFilterLiteral(filter[3], source) };
+}
+
+function parseFilterLiteral(raw, source) {
+    const quoted = raw.match(/^(['"])(.*)\1$/s);
+    if (quoted) return quoted[2];
+    if (['true', 'false', 'null'].includes(raw)) return JSON.parse(raw);
+    if (raw !== '' && !Number.isNaN(Number(raw))) return Number(raw);
+    throw new Error(`Invalid filter value "${raw}" in "${source}"`);
+}
+
+function matchesFilter(node, { path, operator, value }) {
+    const actual = path.reduce((curr, key) => curr?.[key], node);
+    if (!operator) return actual !== undefined && actual !== null && actual !== false;
+    if (operator === '==') return actual === value || (actual !== null && typeof actual !== 'object' && String(actual) === String(value));
+    if (operator === '!=') return !(actual === value || (actual !== null && typeof actual !== 'object' && String(actual) === String(value)));
+    if (typeof actual !== typeof value || !['number', 'string'].includes(typeof value)) return false;
+    return { '>': actual > value, '<': actual < value, '>=': actual >= value, '<=': actual <= value }[operator];
+}
+
+function childrenOf(node) {
+    if (Array.isArray(node)) return node;
+    return node && typeof node === 'object' ? Object.values(node) : [];
+}
+
+function applyStep(nodes, step) {
+    switch (step.type) {
+        case 'key':
+            return nodes.map(node => node?.[step.name]).filter(v => v !== undefined);
+        case 'index':
+            return nodes.filter(Array.isArray).map(node => node[step.index < 0 ? node.length + step.index : step.index]).filter(v => v !== undefined);
+        case 'wildcard':
+            return nodes.flatMap(childrenOf);
+        case 'filter':
+            return nodes.flatMap(childrenOf).filter(node => matchesFilter(node, step));
+        case 'recursive': {
+            const found = [];
+            const visit = node => {
+                if (!node || typeof node !== 'object') return;
+                if (step.name === undefined) found.push(...childrenOf(node));
+                else if (!Array.isArray(node) && node[step.name] !== undefined) found.push(node[step.name]);
+                childrenOf(node).forEach(visit);
+            };
+            nodes.forEach(visit);
+            return found;
+        }
+    }
+    return [];
+}
+
+// Returns every value the expression selects from a parsed JSON body or raw text
+function extractValues(data, expression) {
+    const compiled = typeof expression === 'string' ? compileExtraction(expression) : expression;
+    if (compiled.type === 'regex') {
+        const text = typeof data === 'string' ? data : JSON.stringify(data ?? '');
+        return [...text.matchAll(compiled.regex)]
+            .map(m => m.groups?.url ?? m[1] ?? m[0])
+            .filter(Boolean)
+            .map(v => v.replace(/&amp;/g, '&'));
+    }
+    if (typeof data === 'string') return [];
+    const values = compiled.steps.reduce(applyStep, [data]).filter(v => v !== null && v !== undefined);
+    // A path that ends on an array of candidates (e.g. `data.urls`) picks among its elements
+    return values.length === 1 && Array.isArray(values[0]) ? values[0] : values;
+}
+
+// pickMode: 'first' (default) or 'random' among the usable (non-empty string) matches
+function extractValue(data, expression, pickMode) {
+    const candidates = extractValues(data, expression).filter(v => typeof v === 'string' && v.trim());
+    if (!candidates.length) return null;
+    return pickMode === 'random' ? candidates[Math.floor(Math.random() * candidates.length)] : candidates[0];
+}
+
+// === Upstream Selection ===
+// The primary `url` takes part with `urlWeight` (default 1) and `urlPriority` (default 0); `upstreams` adds mirrors to the pool.
+const upstreamCursors = new Map();
+
+function orderUpstreams(apiKey, configEntry) {
+    const pool = [{ url: configEntry.url, weight: configEntry.urlWeight ?? 1, priority: configEntry.urlPriority ?? 0 }, ...(configEntry.upstreams || []).filter(u => u.url)];
+    if (pool.length === 1) return pool.map(u => u.url);
+
+    switch (configEntry.upstreamStrategy) {
+        case 'roundRobin': {
+            const start = (upstreamCursors.get(apiKey) || 0) % pool.length;
+            upstreamCursors.set(apiKey, start + 1);
+            return [...pool.slice(start), ...pool.slice(0, start)].map(u => u.url);
+        }
+        case 'weighted': {
+            // Weighted shuffle: draw without replacement so the remaining upstreams still serve as failover
+            const remaining = [...pool];
+            const ordered = [];
+            while (remaining.length) {
+                const total = remaining.reduce((sum, u) => sum + Math.max(u.weight, 0), 0);
+                let r = Math.random() * total;
+                let index = remaining.findIndex(u => (r -= Math.max(u.weight, 0)) < 0);
+                if (index === -1) index = 0;
+                ordered.push(remaining.splice(index, 1)[0].url);
+            }
+            return ordered;
+        }
+        default:
+            return [...pool].sort((a, b) => a.priority - b.priority).map(u => u.url);
+    }
+}
+
+// `upstream` carries per-endpoint request options: { headers, method, body }
+function requestProxyUpstream(targetUrl, upstream = {}) {
+    return axios({ url: targetUrl, method: upstream.method || 'GET', data: upstream.body, headers: upstream.headers, timeout: proxyTimeout, validateStatus: s => s >= 200 && s < 500 });
+}
+
+function extractProxyMedia(data, targetUrl, proxySettings, upstream) {
+    const extracted = proxySettings.imageUrlField && data ? extractValue(data, proxySettings.imageUrlField, proxySettings.pickMode) : null;
+    return resolveExtractedMedia(extracted, proxySettings, targetUrl, upstream);
+}
+
+async function sendProxyResult(data, targetUrl, proxySettings, res, upstream, served, fromCache = false) {
+    let media = await extractProxyMedia(data, targetUrl, proxySettings, upstream);
+    let retries = 0;
+    // A cached response with several candidates is re-picked locally; otherwise the upstream is asked again.
+    // Once the retries run out the repeated image is served anyway.
+    while (media && served?.window && retries < served.retries && wasRecentlyServed(served, media)) {
+        retries++;
+        console.log(`[Proxy] Repeated image, retrying (${retries}/${served.retries})`);
+        const next = fromCache && proxySettings.pickMode === 'random'
+            ? await extractProxyMedia(data, targetUrl, proxySettings, upstream)
+            : await requestProxyUpstream(targetUrl, upstream).then(r => r.status < 400 ? extractProxyMedia(r.data, targetUrl, proxySettings, upstream) : null).catch(() => null);
+        if (!next) break;
+        media = next;
+    }
+    if (media) {
+        if (served) recordServed(served, media, retries);
+        if (retries) res.set('X-Dedup-Retries', String(retries));
+        return sendExtractedMedia(media, proxySettings, res);
+    }
+
+    const fallback = proxySettings.fallbackAction || 'returnJson';
+    return fallback === 'error' ? res.status(404).json({ error: 'Could not extract image URL' }) : res.json(data);
+}
+
+async function handleProxyRequest(targetUrls, proxySettings = {}, res, upstream = {}, cache = null, served = null) {
+    const candidates = [].concat(targetUrls);
+    let lastError;
+
+    if (cache) {
+        for (const targetUrl of candidates) {
+            const entry = readResponseCache(cache, targetUrl, upstream);
+            if (!entry) continue;
+            const stale = entry.expiresAt <= Date.now();
+            console.log(`[Proxy] Response cache ${stale ? 'stale' : 'hit'}: ${targetUrl}`);
+            if (stale) refreshResponseCache(cache, targetUrl, upstream);
+            res.set({ 'X-Cache': stale ? 'STALE' : 'HIT', Age: String(Math.floor((Date.now() - entry.storedAt) / 1000)) });
+            return sendProxyResult(entry.data, targetUrl, proxySettings, res, upstream, served, true);
+        }
+        res.set('X-Cache', 'MISS');
+    }
+
+    for (const [i, targetUrl] of candidates.entries()) {
+        try {
+            console.log(`[Proxy] Requesting: ${upstream.method || 'GET'} ${targetUrl}`);
+            const response = await requestProxyUpstream(targetUrl, upstream);
+
+            if (response.status >= 400) return res.status(response.status).json(response.data || { error: `Target API error (${response.status})` });
+
+            if (cache) writeResponseCache(cache, targetUrl, upstream, response.data);
+            return await sendProxyResult(response.data, targetUrl, proxySettings, res, upstream, served);
+        } catch (error) {
+            lastError = error;
+            console.error(`[Proxy] Failed: ${error.message}`);
+            // 5xx responses, timeouts and connection errors fail over to the next upstream
+            if ((error.response || error.request) && i < candidates.length - 1) {
+                console.log(`[Proxy] Failing over to next upstream (${i + 2}/${candidates.length})`);
+                continue;
+            }
+            break;
+        }
+    }
+
+    if (lastError?.response) return res.status(lastError.response.status).json(lastError.response.data || { error: 'Proxy target error' });
+    if (lastError?.request) return res.status(504).json({ error: 'Proxy request timeout' });
+    return res.status(500).json({ error: 'Proxy setup failed' });
+}
+
+// === Response Cache ===
+// Proxy endpoints with `responseCache.ttl` keep the upstream's raw response per final target URL (and body for POST/PUT),
+// so extraction and `pickMode: random` still run per request. For `staleWhileRevalidate` seconds after expiry the old
+// response is served while a background request refreshes it. Entries live in memory or in SQLite, which survives restarts.
+const responseCacheMaxEntrySize = 1024 * 1024;
+const responseCacheMemory = new Map();
+const responseCacheRefreshing = new Set();
+
+function responseCacheKey(targetUrl, upstream = {}) {
+    const method = upstream.method || 'GET';
+    if (upstream.body === undefined) return `${method} ${targetUrl}`;
+    return `${method} ${targetUrl} #${crypto.createHash('sha256').update(JSON.stringify(upstream.body)).digest('hex').slice(0, 16)}`;
+}
+
+function responseCacheRow(row) {
+    return { apiKey: row.api_key, key: row.cache_key, data: row.data === undefined ? undefined : JSON.parse(row.data), size: row.size, storedAt: row.stored_at, expiresAt: row.expires_at, staleUntil: row.stale_until };
+}
+
+// Both stores share one interface; the admin views and purges always cover both, since an endpoint may switch stores
+const responseCacheStores = {
+    memory: {
+        get: (apiKey, key) => responseCacheMemory.get(`${apiKey}\n${key}`) || null,
+        set(entry) {
+            const id = `${entry.apiKey}\n${entry.key}`;
+            responseCacheMemory.delete(id);
+            responseCacheMemory.set(id, entry);
+            // Maps iterate in insertion order, so the first key is the least recently written entry
+            while (responseCacheMemory.size > responseCacheMaxEntries) responseCacheMemory.delete(responseCacheMemory.keys().next().value);
+        },
+        list: apiKey => [...responseCacheMemory.values()].filter(e => !apiKey || e.apiKey === apiKey),
+        remove(filter) {
+            let removed = 0;
+            for (const [id, entry] of responseCacheMemory) {
+                if (filter(entry)) removed += responseCacheMemory.delete(id) ? 1 : 0;
+            }
+            return removed;
+        }
+    },
+    sqlite: {
+        get(apiKey, key) {
+            const row = db.prepare('SELECT * FROM response_cache WHERE api_key = ? AND cache_key = ?').get(apiKey, key);
+            return row ? responseCacheRow(row) : null;
+        },
+        set: entry => db.prepare('INSERT OR REPLACE INTO response_cache (api_key, cache_key, data, size, stored_at, expires_at, stale_until) VALUES (?, ?, ?, ?, ?, ?, ?)')
+            .run(entry.apiKey, entry.key, JSON.stringify(entry.data), entry.size, entry.storedAt, entry.expiresAt, entry.staleUntil),
+        list: apiKey => (apiKey
+            ? db.prepare('SELECT api_key, cache_key, size, stored_at, expires_at, stale_until FROM response_cache WHERE api_key = ?').all(apiKey)
+            : db.prepare('SELECT api_key, cache_key, size, stored_at, expires_at, stale_until FROM response_cache').all()).map(responseCacheRow),
+        remove(filter) {
+            const remove = db.prepare('DELETE FROM response_cache WHERE api_key = ? AND cache_key = ?');
+            return responseCacheStores.sqlite.list().filter(filter).reduce((removed, e) => removed + remove.run(e.apiKey, e.key).changes, 0);
+        }
+    }
+};
+
+function readResponseCache(cache, targetUrl, upstream) {
+    const store = responseCacheStores[cache.store];
+    const entry = store.get(cache.apiKey, responseCacheKey(targetUrl, upstream));
+    if (!entry || entry.staleUntil > Date.now()) return entry;
+    store.remove(e => e.apiKey === entry.apiKey && e.key === entry.key);
+    return null;
+}
+
+function writeResponseCache(cache, targetUrl, upstream, data) {
+    const size = Buffer.byteLength(JSON.stringify(data ?? null));
+    if (size > responseCacheMaxEntrySize) return;
+    const storedAt = Date.now();
+    const expiresAt = storedAt + cache.ttl * 1000;
+    try {
+        responseCacheStores[cache.store].set({ apiKey: cache.apiKey, key: responseCacheKey(targetUrl, upstream), data, size, storedAt, expiresAt, staleUntil: expiresAt + (cache.staleWhileRevalidate || 0) * 1000 });
+    } catch (error) {
+        console.error('[Proxy] Failed to store cached response:', error.message);
+    }
+}
+
+function refreshResponseCache(cache, targetUrl, upstream) {
+    const id = `${cache.apiKey}\n${responseCacheKey(targetUrl, upstream)}`;
+    if (responseCacheRefreshing.has(id)) return;
+    responseCacheRefreshing.add(id);
+    requestProxyUpstream(targetUrl, upstream)
+        .then(response => {
+            if (response.status >= 400) throw new Error(`Target API error (${response.status})`);
+            writeResponseCache(cache, targetUrl, upstream, response.data);
+            console.log(`[Proxy] Response cache refreshed: ${targetUrl}`);
+        })
+        .catch(error => console.error(`[Proxy] Response cache refresh failed: ${targetUrl} - ${error.message}`))
+        .finally(() => responseCacheRefreshing.delete(id));
+}
+
+function listResponseCache(apiKey) {
+    const now = Date.now();
+    return Object.entries(responseCacheStores)
+        .flatMap(([store, impl]) => impl.list(apiKey).map(e => ({
+            key: e.key,
+            store,
+            size: e.size,
+            state: e.expiresAt > now ? 'fresh' : e.staleUntil > now ? 'stale' : 'expired',
+            storedAt: new Date(e.storedAt).toISOString(),
+            expiresAt: new Date(e.expiresAt).toISOString(),
+            staleUntil: new Date(e.staleUntil).toISOString()
+        })))
+        .sort((a, b) => b.storedAt.localeCompare(a.storedAt));
+}
+
+function purgeResponseCache(apiKey, key) {
+    return Object.values(responseCacheStores).reduce((removed, store) => removed + store.remove(e => (!apiKey || e.apiKey === apiKey) && (!key || e.key === key)), 0);
+}
+
+function pruneResponseCache() {
+    try {
+        const now = Date.now();
+        // Entries past their stale window, or left behind by endpoints that no longer cache, are dropped
+        const removed = Object.values(responseCacheStores).reduce((total, store) => total + store.remove(e => e.staleUntil <= now || !currentConfig.apiUrls[e.apiKey]?.responseCache), 0);
+        if (removed) console.log(`[Proxy] Pruned ${removed} cached responses.`);
+    } catch (error) {
+        console.error('[Proxy] Response cache prune failed:', error);
+    }
+}
+
+function getResponseCacheStats() {
+    const stats = {};
+    for (const store of Object.values(responseCacheStores)) {
+        for (const entry of store.list()) {
+            stats[entry.apiKey] = stats[entry.apiKey] || { count: 0, size: 0 };
+            stats[entry.apiKey].count++;
+            stats[entry.apiKey].size += entry.size;
+        }
+    }
+    return stats;
+}
+
+// === Endpoint Availability ===
+// `enabled: false` switches an endpoint off without deleting it. `availability.windows` limits it to daily time ranges
+// in the server's time zone (a range may cross midnight) and `availability.expiresAt` switches it off for good.
+// `availability.whenUnavailable` picks the response: 404 as if it did not exist (default), 503, or another endpoint.
+const unavailableDescriptions = { disabled: 'is disabled', expired: 'has expired', outside_schedule: 'is outside its opening hours' };
+
+function minutesOfDay(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function inTimeWindow(window, minutes) {
+    const start = minutesOfDay(window.start);
+    const end = minutesOfDay(window.end);
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// Returns null while the endpoint can be served, otherwise the reason it cannot
+function getUnavailableReason(entry, now = new Date()) {
+    if (entry.enabled === false) return 'disabled';
+    const { windows = [], expiresAt } = entry.availability || {};
+    if (expiresAt && Date.parse(expiresAt) <= now.getTime()) return 'expired';
+    if (windows.length && !windows.some(w => inTimeWindow(w, now.getHours() * 60 + now.getMinutes()))) return 'outside_schedule';
+    return null;
+}
+
+function secondsUntilNextWindow(windows, now = new Date()) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    return Math.min(...windows.map(w => (minutesOfDay(w.start) - minutes + 1440) % 1440 || 1440)) * 60 - now.getSeconds();
+}
+
+function respondUnavailable(apiKey, entry, reason, res, next) {
+    res.locals.unavailable = reason;
+    const { whenUnavailable, message, windows = [] } = entry.availability || {};
+    if (!whenUnavailable) return next();
+    if (reason === 'outside_schedule') res.set('Retry-After', String(secondsUntilNextWindow(windows)));
+    res.status(503).json({ error: message || `Endpoint /${apiKey} ${unavailableDescriptions[reason]}.` });
+}
+
+function getAvailabilityMap() {
+    const now = new Date();
+    return Object.fromEntries(Object.entries(currentConfig.apiUrls).map(([key, entry]) => [key, getUnavailableReason(entry, now)]));
+}
+
+// === Served History ===
+// Images extracted by proxy endpoints are remembered in memory: the last `dedup.window` per endpoint or per client
+// (IP or a cookie) to skip repeats, and the latest few per endpoint for the admin "recently served" gallery.
+const servedGalleryLimit = 48;
+const servedHistory = new Map();
+const servedGallery = new Map();
+
+function servedContext(apiKey, configEntry, req, res) {
+    const dedup = configEntry.dedup || { window: 0, scope: 'endpoint', retries: 0 };
+    return { apiKey, ...dedup, historyKey: `${apiKey}\n${dedup.window ? getServedClientId(req, res, dedup.scope) : '*'}` };
+}
+
+function getServedClientId(req, res, scope) {
+    if (scope === 'ip') return `ip:${req.ip}`;
+    if (scope !== 'cookie') return '*';
+    let id = req.cookies?.[servedClientCookieName];
+    if (!/^[a-f0-9]{32}$/.test(id || '')) {
+        id = crypto.randomBytes(16).toString('hex');
+        res.cookie(servedClientCookieName, id, { maxAge: 365 * 24 * 60 * 60 * 1000, httpOnly: true, sameSite: 'lax' });
+    }
+    return `cookie:${id}`;
+}
+
+// Inline (base64) results have no URL, so they are told apart by content
+function servedIdentity(media) {
+    return media.type === 'inline' ? `inline:${crypto.createHash('sha256').update(media.buffer).digest('hex')}` : media.url;
+}
+
+function wasRecentlyServed(served, media) {
+    return (servedHistory.get(served.historyKey) || []).includes(servedIdentity(media));
+}
+
+function recordServed(served, media, retries) {
+    const id = servedIdentity(media);
+    const history = servedHistory.get(served.historyKey) || [];
+    const repeated = history.includes(id);
+    if (served.window) {
+        // Re-inserting keeps the Map ordered by last use, so the first key is the least recently active client
+        servedHistory.delete(served.historyKey);
+        servedHistory.set(served.historyKey, [...history.filter(u => u !== id), id].slice(-served.window));
+        while (servedHistory.size > servedHistoryMaxClients) servedHistory.delete(servedHistory.keys().next().value);
+    }
+    const gallery = servedGallery.get(served.apiKey) || [];
+    gallery.unshift({ url: media.type === 'inline' ? null : media.url, contentType: media.contentType || null, servedAt: new Date().toISOString(), retries, repeated });
+    servedGallery.set(served.apiKey, gallery.slice(0, servedGalleryLimit));
+}
+
+function clearServedHistory(apiKey) {
+    for (const key of servedHistory.keys()) {
+        if (key.startsWith(`${apiKey}\n`)) servedHistory.delete(key);
+    }
+    servedGallery.delete(apiKey);
+}
+
+// === Aggregate Endpoints ===
+// `method: 'aggregate'` endpoints resolve to another configured key per request: `alias` always uses its single target,
+// `random` picks uniformly and `weighted` by target weight. `group` / `type` add every regular endpoint that matches.
+// Only explicit targets may point at other aggregates, so cycles can be found by walking them.
+const maxAggregateDepth = 5;
+
+function aggregateTargetKeys(entry) {
+    if (entry?.method !== 'aggregate') return [];
+    return (entry.aggregate?.targets || []).map(t => typeof t === 'string' ? t : t?.key).filter(Boolean);
+}
+
+// Returns an error message for cycles or overly deep nesting across the whole config, or null
+function validateAggregates(apiUrls) {
+    const visit = trail => {
+        const key = trail[trail.length - 1];
+        if (trail.indexOf(key) < trail.length - 1) return `Aggregate cycle detected: ${trail.slice(trail.indexOf(key)).map(k => `/${k}`).join(' -> ')}`;
+        if (trail.length > maxAggregateDepth + 1) return `Aggregates nest deeper than ${maxAggregateDepth} levels: ${trail.map(k => `/${k}`).join(' -> ')}`;
+        for (const target of aggregateTargetKeys(apiUrls[key])) {
+            const problem = visit([...trail, target]);
+            if (problem) return problem;
+        }
+        return null;
+    };
+    for (const key of Object.keys(apiUrls)) {
+        const problem = visit([key]);
+        if (problem) return problem;
+    }
+    return null;
+}
+
+function aggregateMembers(apiKey, configEntry) {
+    const { targets = [], group, type } = configEntry.aggregate || {};
+    const members = targets.filter(t => t.key !== apiKey && currentConfig.apiUrls[t.key] && !getUnavailableReason(currentConfig.apiUrls[t.key])).map(t => ({ key: t.key, weight: t.weight }));
+    if (group || type) {
+        for (const [key, entry] of Object.entries(currentConfig.apiUrls)) {
+            if (key === apiKey || entry.method === 'aggregate' || members.some(m => m.key === key) || getUnavailableReason(entry)) continue;
+            if ((group && entry.group !== group) || (type && entry.type !== type)) continue;
+            members.push({ key, weight: 1 });
+        }
+    }
+    // An open aggregate must not become a way around a protected member's API key
+    return endpointRequiresKey(configEntry) ? members : members.filter(m => !endpointRequiresKey(currentConfig.apiUrls[m.key]));
+}
+
+function pickAggregateMember(apiKey, configEntry) {
+    const members = aggregateMembers(apiKey, configEntry);
+    if (configEntry.aggregate?.strategy === 'alias') return members[0]?.key || null;
+
+    // Members reported down by the health checker are skipped while healthy ones remain
+    const down = new Set(db.prepare("SELECT api_key FROM endpoint_health WHERE status = 'down'").all().map(r => r.api_key));
+    const healthy = members.filter(m => !down.has(m.key));
+    const pool = healthy.length ? healthy : members;
+    if (!pool.length) return null;
+    if (configEntry.aggregate?.strategy !== 'weighted') return pool[Math.floor(Math.random() * pool.length)].key;
+
+    const total = pool.reduce((sum, m) => sum + Math.max(m.weight, 0), 0);
+    let r = Math.random() * total;
+    return (pool.find(m => (r -= Math.max(m.weight, 0)) < 0) || pool[0]).key;
+}
+
+// === Extracted Media ===
+// extractMode: 'auto' detects inline data and verifies links, 'url' trusts the value as a link, 'base64' always decodes.
+// resultMode: 'redirect' sends the client to the link, 'stream' fetches it and relays the bytes.
+const mediaExtensionPattern = /\.(jpe?g|gif|png|webp|bmp|svg|avif|mp4|webm|mov)(\?|#|$)/i;
+
+async function resolveExtractedMedia(value, proxySettings, sourceUrl, upstream = {}, { verify = true } = {}) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const mode = proxySettings.extractMode || 'auto';
+
+    if (mode !== 'url') {
+        const inline = decodeInlineImage(mode === 'base64' && !value.startsWith('data:') ? `data:;base64,${value}` : value);
+        if (inline || mode === 'base64') return inline ? { type: 'inline', ...inline } : null;
+    }
+
+    let url;
+    try { url = new URL(value, sourceUrl); } catch { return null; }
+    // Extracted links are redirected to or fetched, so anything but http(s) (javascript:, data:, file:) counts as a failed extraction
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    url = url.toString();
+    // Configured headers may carry credentials, so they only follow links on the same origin
+    const headers = sameOrigin(sourceUrl, url) ? upstream.headers : undefined;
+    if (mode === 'url' || !verify || mediaExtensionPattern.test(new URL(url).pathname)) return { type: 'url', url, headers };
+
+    // Extension-less links are accepted once the target identifies itself as media
+    const contentType = await sniffRemoteContentType(url, headers);
+    return contentType && /^(image|video)\//.test(contentType) ? { type: 'url', url, headers, contentType } : null;
+}
+
+async function sniffRemoteContentType(url, headers) {
+    const typeOf = response => String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    try {
+        const head = await axios.head(url, { headers, timeout: 5000, maxRedirects: 5, validateStatus: s => s < 400 });
+        if (typeOf(head) && typeOf(head) !== 'application/octet-stream') return typeOf(head);
+    } catch (error) {
+        console.log(`[Proxy] HEAD ${url} failed: ${error.message}`);
+    }
+    // Some CDNs reject HEAD or report octet-stream; read the first bytes instead
+    try {
+        const response = await axios.get(url, { headers: { ...headers, Range: 'bytes=0-31' }, responseType: 'stream', timeout: 5000, maxRedirects: 5, validateStatus: s => s < 400 });
+        const first = await new Promise((resolve, reject) => {
+            response.data.once('data', chunk => { response.data.destroy(); resolve(chunk); });
+            response.data.once('end', () => resolve(Buffer.alloc(0)));
+            response.data.once('error', reject);
+        });
+        return sniffImageType(first) || (typeOf(response) !== 'application/octet-stream' ? typeOf(response) : null);
+    } catch (error) {
+        console.log(`[Proxy] Sniffing ${url} failed: ${error.message}`);
+        return null;
+    }
+}
+
+async function sendExtractedMedia(media, proxySettings, res) {
+    if (media.type === 'inline') {
+        console.log(`[Proxy] Returning inline ${media.contentType} (${media.buffer.length} bytes)`);
+        return res.set('Content-Type', media.contentType).send(media.buffer);
+    }
+    if (proxySettings.resultMode !== 'stream') {
+        console.log(`[Proxy] Redirecting to: ${media.url}`);
+        return res.redirect(media.url);
+    }
+
+    try {
+        console.log(`[Proxy] Streaming: ${media.url}`);
+        const response = await axios.get(media.url, { responseType: 'stream', timeout: proxyTimeout, maxRedirects: 5, headers: media.headers });
+        res.set('Content-Type', response.headers['content-type'] || media.contentType || 'application/octet-stream');
+        if (response.headers['content-length']) res.set('Content-Length', response.headers['content-length']);
+        response.data.on('error', () => res.destroy());
+        response.data.pipe(res);
+    } catch (error) {
+        console.error(`[Proxy] Streaming failed: ${error.message}`);
+        res.status(502).json({ error: `Failed to fetch extracted media: ${error.message}` });
+    }
+}
+
+// === Rate Limiting ===
+// Token buckets per endpoint and client: `perMinute` tokens refill per minute up to `burst` (defaults to perMinute).
+const rateLimitBuckets = new Map();
+
+function getClientToken(req) {
+    const auth = req.headers.authorization;
+    if (auth?.startsWith('Bearer ')) return auth.slice(7).trim() || null;
+    return typeof req.query.key === 'string' && req.query.key ? req.query.key : null;
+}
+
+// Only registered, enabled and unexpired consumer keys get their own bucket; anything else counts against the client IP,
+// so sending made-up keys cannot sidestep the limit
+function getRateLimitClientId(req, scope) {
+    if (scope === 'global') return '*';
+    const token = scope === 'token' ? getClientToken(req) : null;
+    const consumer = token ? findActiveConsumerKey(token) : null;
+    return consumer ? `token:${consumer.id}` : `ip:${req.ip}`;
+}
+
+function checkRateLimit(apiKey, configEntry, req, res) {
+    const perMinute = toInt(configEntry.rateLimit?.perMinute, 0);
+    if (perMinute <= 0) return true;
+
+    const capacity = toInt(configEntry.rateLimit?.burst, 0) || perMinute;
+    const refillPerMs = perMinute / 60000;
+    const bucketKey = `${apiKey}|${getRateLimitClientId(req, configEntry.rateLimit.scope)}`;
+    const now = Date.now();
+
+    const bucket = rateLimitBuckets.get(bucketKey) || { tokens: capacity, updated: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updated) * refillPerMs);
+    bucket.updated = now;
+    rateLimitBuckets.set(bucketKey, bucket);
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+
+    res.set({
+        'X-RateLimit-Limit': String(capacity),
+        'X-RateLimit-Remaining': String(Math.floor(bucket.tokens)),
+        'X-RateLimit-Reset': String(Math.ceil((capacity - bucket.tokens) / refillPerMs / 1000))
+    });
+    if (allowed) return true;
+
+    const retryAfter = Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+    console.warn(`[RateLimit] /${apiKey} limited for ${bucketKey.split('|')[1]}`);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'Too many requests', retryAfter });
+    return false;
+}
+
+function pruneRateLimitBuckets() {
+    const now = Date.now();
+    for (const [bucketKey, bucket] of rateLimitBuckets) {
+        // Buckets idle for 10 minutes have refilled for any sane limit; drop them to bound memory
+        if (now - bucket.updated > 10 * 60 * 1000) rateLimitBuckets.delete(bucketKey);
+    }
+}
+
+// === Consumer API Keys ===
+// Keys are shown once on creation; only a SHA-256 hash and a short display prefix are stored
+const hashConsumerKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+function consumerKeyResource(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.key_prefix,
+        allowedEndpoints: row.allowed_endpoints ? JSON.parse(row.allowed_endpoints) : [],
+        expiresAt: row.expires_at,
+        enabled: row.enabled === 1,
+        usageCount: row.usage_count,
+        lastUsed: row.last_used,
+        createdAt: row.created_at
+    };
+}
+
+const findConsumerKeyRow = token => db.prepare("SELECT *, expires_at IS NOT NULL AND expires_at <= datetime('now') AS expired FROM consumer_keys WHERE key_hash = ?").get(hashConsumerKey(token));
+
+function findActiveConsumerKey(token) {
+    const row = findConsumerKeyRow(token);
+    return row && row.enabled === 1 && !row.expired ? row : null;
+}
+
+const listConsumerKeys = () => db.prepare('SELECT * FROM consumer_keys ORDER BY id').all().map(consumerKeyResource);
+const getConsumerKey = id => db.prepare('SELECT * FROM consumer_keys WHERE id = ?').get(id);
+
+function validateConsumerKeyInput({ name, allowedEndpoints, expiresAt }, { partial = false } = {}) {
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) return 'Key name is required.';
+    }
+    if (allowedEndpoints !== undefined && (!Array.isArray(allowedEndpoints) || allowedEndpoints.some(k => typeof k !== 'string'))) return 'allowedEndpoints must be an array of endpoint keys.';
+    if (expiresAt && isNaN(Date.parse(expiresAt))) return 'expiresAt must be a date.';
+    return null;
+}
+
+// SQLite datetime format, so expiry can be compared with datetime('now')
+const toSqlDate = value => value ? new Date(value).toISOString().replace('T', ' ').slice(0, 19) : null;
+
+function createConsumerKey({ name, allowedEndpoints = [], expiresAt = null }) {
+    const key = `afk_${crypto.randomBytes(24).toString('base64url')}`;
+    const { lastInsertRowid } = db.prepare('INSERT INTO consumer_keys (name, key_hash, key_prefix, allowed_endpoints, expires_at) VALUES (?, ?, ?, ?, ?)')
+        .run(name.trim(), hashConsumerKey(key), key.slice(0, 8), JSON.stringify(allowedEndpoints), toSqlDate(expiresAt));
+    return { key, ...consumerKeyResource(getConsumerKey(lastInsertRowid)) };
+}
+
+function updateConsumerKey(id, { name, allowedEndpoints, expiresAt, enabled }) {
+    if (name !== undefined) db.prepare('UPDATE consumer_keys SET name = ? WHERE id = ?').run(name.trim(), id);
+    if (allowedEndpoints !== undefined) db.prepare('UPDATE consumer_keys SET allowed_endpoints = ? WHERE id = ?').run(JSON.stringify(allowedEndpoints), id);
+    if (expiresAt !== undefined) db.prepare('UPDATE consumer_keys SET expires_at = ? WHERE id = ?').run(toSqlDate(expiresAt), id);
+    if (enabled !== undefined) db.prepare('UPDATE consumer_keys SET enabled = ? WHERE id = ?').run(enabled ? 1 : 0, id);
+}
+
+function endpointRequiresKey(configEntry) {
+    return !!configEntry.requireApiKey || (currentConfig.protectedGroups || []).includes(configEntry.group || '默认分组');
+}
+
+// Returns true when the request may proceed; otherwise the 401/403 response has been sent
+function checkConsumerKey(apiKey, configEntry, req, res) {
+    if (!endpointRequiresKey(configEntry)) return true;
+
+    const token = getClientToken(req);
+    const deny = (status, error) => {
+        if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+        res.status(status).json({ error });
+        return false;
+    };
+    if (!token) return deny(401, 'API key required.');
+
+    const row = findConsumerKeyRow(token);
+    if (!row || row.enabled !== 1) return deny(401, 'Invalid API key.');
+    if (row.expired) return deny(401, 'API key expired.');
+    const allowed = row.allowed_endpoints ? JSON.parse(row.allowed_endpoints) : [];
+    if (allowed.length && !allowed.includes(apiKey)) return deny(403, `API key is not allowed to access /${apiKey}.`);
+
+    db.prepare("UPDATE consumer_keys SET usage_count = usage_count + 1, last_used = datetime('now') WHERE id = ?").run(row.id);
+    return true;
+}
+
+// === API Documentation ===
+const homepageGroupOrder = { 'AI绘图': 1, '二次元图片': 2, '三次元图片': 3, '表情包': 4, '默认分组': 99 };
+
+function compareGroups(a, b) {
+    return (homepageGroupOrder[a] || 50) - (homepageGroupOrder[b] || 50) || a.localeCompare(b);
+}
+
+// Endpoints shown to the public (homepage, OpenAPI): hides unavailable endpoints, and those marked down when HIDE_UNHEALTHY_ENDPOINTS is set
+function getVisibleApis(health = getHealthMap()) {
+    return Object.fromEntries(Object.entries(currentConfig.apiUrls).filter(([key, entry]) => !getUnavailableReason(entry) && !(hideUnhealthyEndpoints && health[key]?.status === 'down')));
+}
+
+function endpointMediaType(entry) {
+    return (entry.method === 'aggregate' ? entry.aggregate?.type : entry.type) === 'video' ? 'video' : 'image';
+}
+
+function buildOpenApiOperation(key, entry) {
+    const mediaType = endpointMediaType(entry);
+    const errorResponse = description => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+    const parameters = (entry.queryParams || []).filter(p => p.name).map(p => {
+        const description = [p.description, p.aliases ? `Aliases: ${p.aliases.join(', ')}` : ''].filter(Boolean).join('. ');
+        return { name: p.name, in: 'query', required: p.required, description: description || undefined, schema: paramJsonSchema(p) };
+    });
+    if (entry.proxySettings?.imageUrlFieldFromParam) {
+        parameters.push({ name: 'field', in: 'query', required: false, description: 'Path expression overriding the configured extraction path', schema: { type: 'string' } });
+    }
+
+    const responses = entry.method === 'redirect'
+        ? { 302: { description: `Redirect to the upstream ${mediaType}`, headers: { Location: { schema: { type: 'string', format: 'uri' } } } } }
+        : { 200: { description: `The ${mediaType}`, content: { [`${mediaType}/*`]: { schema: { type: 'string', format: 'binary' } } } } };
+    if (entry.method === 'aggregate') responses[302] = { description: 'Redirect when the selected member is a redirect endpoint' };
+    if (parameters.length) responses[400] = errorResponse('Missing or invalid parameters');
+    if (endpointRequiresKey(entry)) {
+        responses[401] = errorResponse('API key missing, invalid or expired');
+        responses[403] = errorResponse('API key not allowed for this endpoint');
+    }
+    if (entry.rateLimit?.perMinute > 0) responses[429] = errorResponse('Rate limit exceeded');
+    if (entry.method === 'aggregate') responses[503] = errorResponse('No member endpoint available');
+    if (entry.method === 'collection') responses[404] = errorResponse('No item in the collection matches the given parameters');
+    else if (entry.method !== 'redirect') responses.default = errorResponse('Upstream request failed');
+
+    const operation = {
+        tags: [entry.group || '默认分组'],
+        summary: entry.description || key,
+        operationId: key,
+        parameters,
+        responses,
+        'x-media-type': mediaType,
+        'x-method': entry.method
+    };
+    if (endpointRequiresKey(entry)) operation.security = [{ apiKeyQuery: [] }, { bearerAuth: [] }];
+    return operation;
+}
+
+function buildOpenApiSpec(baseURL) {
+    const apis = getVisibleApis();
+    const keys = Object.keys(apis).sort((a, b) => compareGroups(apis[a].group || '默认分组', apis[b].group || '默认分组') || a.localeCompare(b));
+    const groups = [...new Set(keys.map(key => apis[key].group || '默认分组'))];
+    return {
+        openapi: '3.0.3',
+        info: { title: 'API Forwarder', version: packageVersion, description: 'Generated from the endpoint configuration.' },
+        servers: [{ url: baseURL }],
+        tags: groups.map(name => ({ name })),
+        paths: Object.fromEntries(keys.map(key => [`/${key}`, { get: buildOpenApiOperation(key, apis[key]) }])),
+        components: {
+            securitySchemes: {
+                apiKeyQuery: { type: 'apiKey', in: 'query', name: 'key' },
+                bearerAuth: { type: 'http', scheme: 'bearer' }
+            },
+            schemas: {
+                Error: { type: 'object', properties: { error: { type: 'string' }, details: { type: 'array', items: { type: 'string' } }, violations: { type: 'array', items: { type: 'object', properties: { param: { type: 'string' }, rule: { type: 'string' } } } } } }
+            }
+        }
+    };
+}
+
+// === LLM Prompts & Tools ===
+// Prompt templates: `{{name}}` inserts a variable (dotted paths allowed, lists are joined with ", "),
+// `{{#name}}…{{/name}}` repeats its content for every item of a list (or keeps it when the value is truthy)
+// and `{{^name}}…{{/name}}` keeps it when the value is empty. Inside a section the item's fields shadow outer
+// variables and `{{.}}` is the item itself. Lines holding nothing but a section tag are dropped.
+const promptTokenPattern = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+const promptTemplateNamePattern = /^[\w-]{1,64}$/;
+
+const defaultPromptTemplate = `    picture_url: |
+    {{ 
+    根据用户请求，选择合适的图片API路径，生成并返回完整URL。仅输出最终URL。
+    基础URL：{{baseUrl}}
+    可用路径：
+{{#endpoints}}
+    - {{label}}:{{usage}}
+{{/endpoints}}
+    }}`;
+
+function renderPromptTemplate(template, view) {
+    const isEmpty = value => value === undefined || value === null || value === false || value === '' || (Array.isArray(value) && !value.length);
+    const lookup = (name, stack) => {
+        if (name === '.') return stack[0];
+        const [head, ...rest] = name.split('.');
+        const scope = stack.find(s => s && typeof s === 'object' && head in s);
+        return scope ? rest.reduce((value, key) => value?.[key], scope[head]) : undefined;
+    };
+    const render = (text, stack) => text.replace(promptTokenPattern, (_, kind, name, content, variable) => {
+        if (variable) {
+            const value = lookup(variable, stack);
+            return isEmpty(value) ? '' : Array.isArray(value) ? value.join(', ') : String(value);
+        }
+        const value = lookup(name, stack);
+        if (kind === '^') return isEmpty(value) ? render(content, stack) : '';
+        if (isEmpty(value)) return '';
+        if (Array.isArray(value)) return value.map(item => render(content, [item, ...stack])).join('');
+        return render(content, typeof value === 'object' ? [value, ...stack] : stack);
+    });
+    return render(String(template).replace(/^[ \t]*(\{\{[#^/][^}]*\}\})[ \t]*\r?\n/gm, '$1'), [view]);
+}
+
+// Plain `{{` is allowed (the built-in YAML template uses it), unbalanced section tags are not
+function validatePromptTemplate(template) {
+    let rest = String(template);
+    for (let previous; previous !== rest;) {
+        previous = rest;
+        rest = rest.replace(/\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g, '$3');
+    }
+    const stray = rest.match(/\{\{\s*[#^/]\s*[\w.]+\s*\}\}/);
+    return stray ? `Unbalanced section tag ${stray[0]}` : null;
+}
+
+function normalizePromptTemplates(templates) {
+    return (Array.isArray(templates) ? templates : []).filter(t => t?.name).map(t => ({ name: String(t.name).trim(), template: String(t.template ?? '') }));
+}
+
+function validatePromptTemplates(templates) {
+    if (!Array.isArray(templates)) return 'promptTemplates must be an array.';
+    const names = new Set();
+    for (const t of templates) {
+        if (!t || typeof t.name !== 'string' || !promptTemplateNamePattern.test(t.name.trim())) return `Invalid prompt template name: ${t?.name ?? ''}`;
+        if (names.has(t.name.trim())) return `Duplicate prompt template name: ${t.name}`;
+        names.add(t.name.trim());
+        if (typeof t.template !== 'string') return `Prompt template ${t.name} must be a string.`;
+        const problem = validatePromptTemplate(t.template);
+        if (problem) return `Prompt template ${t.name}: ${problem}`;
+    }
+    return null;
+}
+
+// Endpoints offered to LLMs: the public ones minus those excluded with includeInPrompt: false
+function getPromptEndpoints(baseURL) {
+    const apis = getVisibleApis();
+    return Object.keys(apis)
+        .filter(key => apis[key].includeInPrompt !== false)
+        .sort((a, b) => compareGroups(apis[a].group || '默认分组', apis[b].group || '默认分组') || a.localeCompare(b))
+        .map(key => {
+            const entry = apis[key];
+            const requiresKey = endpointRequiresKey(entry);
+            const params = (entry.queryParams || []).filter(p => p.name).map(p => ({
+                name: p.name,
+                description: p.description,
+                required: p.required,
+                optional: !p.required,
+                defaultValue: p.defaultValue,
+                validValues: p.validValues || [],
+                type: p.type || 'string',
+                schema: paramJsonSchema(p),
+                placeholder: `<${p.name}>`
+            }));
+            const usageQuery = [...params.filter(p => p.required).map(p => `${p.name}=${p.placeholder}`), ...(requiresKey ? ['key=<api_key>'] : [])];
+            const type = endpointMediaType(entry);
+            return {
+                key,
+                path: `/${key}`,
+                url: `${baseURL}/${key}`,
+                group: entry.group || '默认分组',
+                description: entry.description,
+                label: entry.description || entry.group || '默认分组',
+                type,
+                typeLabel: type === 'video' ? '视频' : '图片',
+                method: entry.method,
+                requiresKey,
+                params,
+                usage: `/${key}${usageQuery.length ? `?${usageQuery.join('&')}` : ''}`
+            };
+        });
+}
+
+function buildPromptView(baseURL) {
+    const endpoints = getPromptEndpoints(baseURL);
+    const groups = [...new Set(endpoints.map(e => e.group))].map(name => ({ name, endpoints: endpoints.filter(e => e.group === name) }));
+    return { baseUrl: baseURL, baseTag: currentConfig.baseTag || '', endpointCount: endpoints.length, groups, endpoints };
+}
+
+// `default` overrides the built-in homepage prompt; other names are only served by /api/prompt?template=
+function getPromptTemplate(name = 'default') {
+    const custom = (currentConfig.promptTemplates || []).find(t => t.name === name);
+    if (custom) return custom.template;
+    return name === 'default' ? defaultPromptTemplate : null;
+}
+
+// One tool per endpoint; calling it means requesting GET <url>?<arguments>
+function buildToolDefinitions(baseURL) {
+    const used = new Set();
+    return getPromptEndpoints(baseURL).map((endpoint, i) => {
+        // Tool names are limited to [A-Za-z0-9_-]{1,64}
+        let name = endpoint.key.replace(/[^\w-]/g, '_').slice(0, 64);
+        if (!/[a-z0-9]/i.test(name)) name = `endpoint_${i + 1}`;
+        for (let n = 2; used.has(name); n++) name = `${name.slice(0, 60)}_${n}`;
+        used.add(name);
+
+        const properties = Object.fromEntries(endpoint.params.map(p => [p.name, { ...(p.description ? { description: p.description } : {}), ...p.schema }]));
+        const description = `${endpoint.description || endpoint.key}. Returns ${endpoint.type === 'video' ? 'a video' : 'an image'} from GET ${endpoint.url}${endpoint.requiresKey ? ' (requires an API key in ?key=)' : ''}.`;
+        return {
+            name,
+            endpoint,
+            description,
+            inputSchema: { type: 'object', properties, required: endpoint.params.filter(p => p.required).map(p => p.name) }
+        };
+    });
+}
+
+function toOpenAiTools(tools) {
+    return tools.map(t => ({ type: 'function', function: { name: t.name, description: t.description, parameters: t.inputSchema } }));
+}
+
+function toMcpTools(tools) {
+    return { tools: tools.map(t => ({ name: t.name, title: t.endpoint.label, description: t.description, inputSchema: t.inputSchema, annotations: { readOnlyHint: true, openWorldHint: true } })) };
+}
+
+// === MCP Server ===
+// Model Context Protocol (JSON-RPC 2.0) exposing the prompt endpoints as tools. A tool call runs the /:apiKey handler
+// in-process against a captured response, so API keys, rate limits, aggregates and extraction behave exactly as over HTTP.
+const mcpProtocolVersions = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const mcpSseSessions = new Map();
+
+function mcpError(code, message) {
+    return Object.assign(new Error(message), { rpcCode: code });
+}
+
+// The subset of the Express response API used by the endpoint handlers. The body is buffered up to `limit` bytes;
+// past that the capture is destroyed, which the handlers see as a client abort.
+class CapturedResponse extends Writable {
+    constructor(limit) {
+        super();
+        this.statusCode = 200;
+        this.locals = {};
+        this.headers = {};
+        this.headersSent = false;
+        this.truncated = false;
+        this.limit = limit;
+        this.chunks = [];
+        this.size = 0;
+        // Writes after a truncation fail; the handlers already treat that as an aborted client
+        this.on('error', () => {});
+    }
+
+    _write(chunk, encoding, callback) {
+        this.headersSent = true;
+        this.size += chunk.length;
+        if (this.size <= this.limit) this.chunks.push(chunk);
+        else this.truncated = true;
+        callback();
+        if (this.truncated) this.destroy();
+    }
+
+    get body() {
+        return Buffer.concat(this.chunks);
+    }
+
+    status(code) {
+        this.statusCode = code;
+        return this;
+    }
+
+    set(field, value) {
+        if (typeof field === 'object') {
+            for (const [name, v] of Object.entries(field)) this.set(name, v);
+        } else {
+            this.headers[field.toLowerCase()] = String(value);
+        }
+        return this;
+    }
+
+    get(field) {
+        return this.headers[field.toLowerCase()];
+    }
+
+    type(value) {
+        return this.set('Content-Type', value);
+    }
+
+    // Every tool call is a fresh client, as it was for a caller without a cookie jar
+    cookie() {
+        return this;
+    }
+
+    json(body) {
+        if (!this.get('Content-Type')) this.set('Content-Type', 'application/json; charset=utf-8');
+        this.end(JSON.stringify(body));
+        return this;
+    }
+
+    send(body) {
+        if (body && typeof body === 'object' && !Buffer.isBuffer(body)) return this.json(body);
+        if (!this.get('Content-Type')) this.set('Content-Type', Buffer.isBuffer(body) ? 'application/octet-stream' : 'text/html; charset=utf-8');
+        this.end(body);
+        return this;
+    }
+
+    redirect(url) {
+        this.status(302).set('Location', url);
+        this.end();
+        return this;
+    }
+
+    sendFile(filePath, callback) {
+        const stream = fs.createReadStream(filePath);
+        stream.on('error', error => {
+            if (callback) callback(error);
+            else this.destroy();
+        });
+        stream.pipe(this);
+    }
+}
+
+async function callMcpTool({ name, arguments: args } = {}, { baseURL, token, referer, clientIp }) {
+    const tool = buildToolDefinitions(baseURL).find(t => t.name === name);
+    if (!tool) throw mcpError(-32602, `Unknown tool: ${name}`);
+    const apiKey = tool.endpoint.key;
+    const query = Object.fromEntries(Object.entries(args || {}).filter(([, v]) => v !== undefined && v !== null && v !== '').map(([k, v]) => [k, String(v)]));
+    const search = new URLSearchParams(query).toString();
+    const path = `/${encodeURIComponent(apiKey)}${search ? `?${search}` : ''}`;
+    const text = value => ({ type: 'text', text: value });
+
+    const headers = { ...(token ? { authorization: `Bearer ${token}` } : {}), referer };
+    const req = { method: 'GET', path, query, headers, cookies: {}, ip: clientIp, params: { apiKey }, get: field => headers[field.toLowerCase()] };
+    const res = new CapturedResponse(mcpMaxImageSize);
+    const closed = new Promise(resolve => res.once('close', resolve));
+    const timer = setTimeout(() => res.destroy(), proxyTimeout * 2);
+    const configEntry = currentConfig.apiUrls[apiKey];
+    try {
+        if (!configEntry?.method) {
+            res.status(404).json({ error: `Endpoint /${apiKey} not found` });
+        } else {
+            await handleEndpointRequest(apiKey, configEntry, req, res, () => res.status(404).json({ error: `Endpoint /${apiKey} not found` }));
+        }
+    } catch (error) {
+        console.error(`[MCP] /${apiKey} failed:`, error.message);
+        if (!res.headersSent) res.status(500).json({ error: error.message });
+        else res.destroy();
+    }
+    await closed;
+    clearTimeout(timer);
+    if (!res.writableFinished && !res.truncated) return { isError: true, content: [text(`Request to /${apiKey} did not complete`)] };
+
+    const contentType = String(res.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    const location = res.get('Location');
+    if (res.statusCode >= 300 && res.statusCode < 400 && location) return { content: [text(new URL(location, baseURL).href)] };
+    if (res.statusCode < 300 && contentType.startsWith('image/') && !res.truncated) {
+        const buffer = res.body;
+        return { content: [{ type: 'image', data: buffer.toString('base64'), mimeType: contentType }, text(`${contentType}, ${buffer.length} bytes from /${apiKey}`)] };
+    }
+    // Videos and oversized images cannot be inlined; the endpoint URL serves a fresh one
+    if (res.statusCode < 300 && /^(image|video)\//.test(contentType)) return { content: [text(`${baseURL}${path}`)] };
+    const body = res.body.subarray(0, 1024 * 1024).toString('utf8');
+    return { isError: res.statusCode >= 400, content: [text(body || `HTTP ${res.statusCode}`)] };
+}
+
+async function dispatchMcpMethod(method, params, context) {
+    switch (method) {
+        case 'initialize':
+            return {
+                protocolVersion: mcpProtocolVersions.includes(params.protocolVersion) ? params.protocolVersion : mcpProtocolVersions[0],
+                capabilities: { tools: {} },
+                serverInfo: { name: 'api-forwarder', version: packageVersion }
+            };
+        case 'ping':
+            return {};
+        case 'tools/list':
+            return toMcpTools(buildToolDefinitions(context.baseURL));
+        case 'tools/call':
+            return callMcpTool(params, context);
+        default:
+            throw mcpError(-32601, `Method not found: ${method}`);
+    }
+}
+
+// Returns the JSON-RPC response, or null for notifications
+async function handleMcpMessage(message, context) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+        return { jsonrpc: '2.0', id: message?.id ?? null, error: { code: -32600, message: 'Invalid Request' } };
+    }
+    const isNotification = message.id === undefined || message.id === null;
+    try {
+        const result = await dispatchMcpMethod(message.method, message.params || {}, context);
+        return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+        if (!error.rpcCode) console.error(`[MCP] ${message.method} failed:`, error.message);
+        return isNotification ? null : { jsonrpc: '2.0', id: message.id, error: { code: error.rpcCode || -32603, message: error.message } };
+    }
+}
+
+async function handleMcpBatch(body, context) {
+    const replies = (await Promise.all((Array.isArray(body) ? body : [body]).map(m => handleMcpMessage(m, context)))).filter(Boolean);
+    return Array.isArray(body) ? replies : replies[0] || null;
+}
+
+// HTTP callers authenticate protected tools with their own consumer key (?key= or Bearer on the MCP request)
+function getMcpHttpContext(req) {
+    const baseURL = `${req.protocol}://${req.get('host')}`;
+    return { baseURL, token: getClientToken(req), referer: `${baseURL}/mcp`, clientIp: req.ip };
+}
+
+// Newline-delimited JSON-RPC on stdin/stdout; logs were redirected to stderr at startup. Stdio calls are counted
+// as one client named `mcp:stdio` in IP rate limits and the request log.
+function startMcpStdio() {
+    const context = { baseURL: publicBaseUrl || `http://localhost:${PORT}`, token: process.env.MCP_API_KEY || null, referer: 'mcp:stdio', clientIp: 'mcp:stdio' };
+    const send = message => process.stdout.write(`${JSON.stringify(message)}\n`);
+    const lines = readline.createInterface({ input: process.stdin });
+    lines.on('line', async line => {
+        if (!line.trim()) return;
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch {
+            return send({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+        }
+        // The admin edits the config through the HTTP server, a separate process sharing the database
+        ({ config: currentConfig, versions: endpointVersions } = readConfigFromDb());
+        const reply = await handleMcpBatch(message, context);
+        if (reply && (!Array.isArray(reply) || reply.length)) send(reply);
+    });
+    lines.on('close', () => process.exit(0));
+    console.log('[MCP] Serving tools over stdio.');
+}
+
+// === Request Log & Statistics ===
+const statsWindows = { '1h': '-1 hours', '24h': '-24 hours', '7d': '-7 days', '30d': '-30 days' };
+
+function describeOutcome(configEntry, res, finished) {
+    if (!finished) return 'aborted';
+    if (res.locals.unavailable) return 'unavailable';
+    // Aggregates are described by the endpoint they resolved to
+    if (res.locals.resolvedEntry) configEntry = res.locals.resolvedEntry;
+    if (res.statusCode === 429) return 'rate_limited';
+    if (res.statusCode === 401 || res.statusCode === 403) return 'unauthorized';
+    if (res.statusCode >= 400) return 'error';
+    const mediaCache = res.get('X-Media-Cache');
+    if (mediaCache) return mediaCache === 'HIT' ? 'cache_hit' : 'cache_miss';
+    if (configEntry.method === 'collection') return 'collection';
+    if (configEntry.method === 'proxy') {
+        if (['HIT', 'STALE'].includes(res.get('X-Cache'))) return 'response_cache';
+        if (res.statusCode >= 300 && res.statusCode < 400) return 'proxy_redirect';
+        return String(res.get('Content-Type') || '').includes('json') ? 'proxy_json' : 'proxy_stream';
+    }
+    return 'redirect';
+}
+
+function logRequest(apiKey, configEntry, req, res) {
+    if (!enableRequestLog) return;
+    const started = Date.now();
+    res.on('close', () => {
+        try {
+            const finished = res.writableFinished;
+            db.prepare('INSERT INTO request_log (api_key, status, latency_ms, referer, client_ip, outcome) VALUES (?, ?, ?, ?, ?, ?)')
+                .run(apiKey, finished ? res.statusCode : 499, Date.now() - started, req.get('referer') || null, req.ip || null, describeOutcome(configEntry, res, finished));
+        } catch (error) {
+            console.error('[Log] Failed to record request:', error.message);
+        }
+    });
+}
+
+function pruneRequestLog() {
+    if (!(requestLogRetentionDays > 0)) return;
+    const result = db.prepare("DELETE FROM request_log WHERE created_at < datetime('now', ?)").run(`-${requestLogRetentionDays * 24} hours`);
+    if (result.changes) console.log(`[Log] Pruned ${result.changes} request log rows.`);
+}
+
+function percentile(sortedValues, p) {
+    if (!sortedValues.length) return null;
+    return sortedValues[Math.min(sortedValues.length - 1, Math.ceil(p / 100 * sortedValues.length) - 1)];
+}
+
+function summarizeRows(rows) {
+    const latencies = rows.map(r => r.latency_ms).filter(v => v !== null).sort((a, b) => a - b);
+    const errors = rows.filter(r => r.status >= 400).length;
+    return { count: rows.length, errors, errorRate: rows.length ? errors / rows.length : 0, p50: percentile(latencies, 50), p95: percentile(latencies, 95) };
+}
+
+function getTopReferers(windowModifier, apiKey, limit = 10) {
+    return db.prepare(`SELECT COALESCE(referer, '') as referer, COUNT(*) as count FROM request_log WHERE created_at >= datetime('now', ?) ${apiKey ? 'AND api_key = ?' : ''} GROUP BY COALESCE(referer, '') ORDER BY count DESC LIMIT ?`)
+        .all(...(apiKey ? [windowModifier, apiKey, limit] : [windowModifier, limit]));
+}
+
+function getRequestStats(windowModifier) {
+    const rows = db.prepare("SELECT api_key, status, latency_ms, outcome, created_at FROM request_log WHERE created_at >= datetime('now', ?)").all(windowModifier);
+    const byKey = {};
+    for (const row of rows) (byKey[row.api_key] ||= []).push(row);
+
+    const endpoints = Object.entries(byKey).map(([apiKey, keyRows]) => {
+        const outcomes = {};
+        keyRows.forEach(r => outcomes[r.outcome] = (outcomes[r.outcome] || 0) + 1);
+        return { apiKey, ...summarizeRows(keyRows), outcomes, lastCalled: keyRows.reduce((max, r) => r.created_at > max ? r.created_at : max, '') };
+    }).sort((a, b) => b.count - a.count);
+
+    return { totals: summarizeRows(rows), endpoints, topReferers: getTopReferers(windowModifier) };
+}
+
+function getRequestTimeline(windowModifier, apiKey) {
+    // Hourly buckets for short windows, daily buckets otherwise
+    const format = ['-1 hours', '-24 hours'].includes(windowModifier) ? '%Y-%m-%d %H:00' : '%Y-%m-%d';
+    return db.prepare(`SELECT strftime('${format}', created_at) as bucket, COUNT(*) as count, SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) as errors FROM request_log WHERE created_at >= datetime('now', ?) ${apiKey ? 'AND api_key = ?' : ''} GROUP BY bucket ORDER BY bucket`)
+        .all(...(apiKey ? [windowModifier, apiKey] : [windowModifier]));
+}
+
+// === Media Cache ===
+// `method: 'cache'` downloads the media itself and keeps a bounded pool of recent results on disk,
+// which is served when the upstream fails or does not answer within MEDIA_CACHE_TIMEOUT.
+const mediaExtensions = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp', 'image/bmp': 'bmp', 'image/svg+xml': 'svg', 'image/avif': 'avif', 'video/mp4': 'mp4', 'video/webm': 'webm', 'video/quicktime': 'mov' };
+
+function readStream(stream, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        stream.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                stream.destroy();
+                return reject(new Error('Response too large'));
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+async function fetchMedia(url, proxySettings = {}, upstream = {}, followJson = true) {
+    const response = await axios({ url, method: upstream.method || 'GET', data: upstream.body, timeout: mediaCacheTimeout, maxRedirects: 5, responseType: 'stream', headers: upstream.headers });
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (/^(image|video)\//.test(contentType)) {
+        return { stream: response.data, contentType, contentLength: parseInt(response.headers['content-length'], 10) || null, sourceUrl: url };
+    }
 
-function loadConfig() {
-    try {
-        const endpointCount = db.prepare('SELECT COUNT(*) as count FROM api_endpoints').get();
+    // JSON APIs (or text/HTML pages with a regex field) point at the media; resolve the link once via imageUrlField
+    const isRegex = String(proxySettings.imageUrlField || '').trim().startsWith('regex:');
+    if (followJson && proxySettings.imageUrlField && (contentType.includes('json') || (isRegex && /^text\//.test(contentType)))) {
+        const text = (await readStream(response.data, 5 * 1024 * 1024)).toString('utf8');
+        const body = contentType.includes('json') ? JSON.parse(text) : text;
+        // fetchMedia checks the content type itself, so links are not verified up front
+        const media = await resolveExtractedMedia(extractValue(body, proxySettings.imageUrlField, proxySettings.pickMode), proxySettings, url, upstream, { verify: false });
+        if (!media) throw new Error('Could not extract image URL');
+        if (media.type === 'inline') return { stream: Readable.from([media.buffer]), contentType: media.contentType, contentLength: media.buffer.length, sourceUrl: url };
+        return fetchMedia(media.url, proxySettings, { headers: media.headers }, false);
+    }
 
-        if (endpointCount.count > 0) {
-            const globalSettings = db.prepare('SELECT base_tag FROM global_settings WHERE id = 1').get();
-            currentConfig.baseTag = globalSettings?.base_tag || '';
-
-            const endpoints = db.prepare('SELECT * FROM api_endpoints').all();
-            const allParams = db.prepare('SELECT * FROM query_params ORDER BY endpoint_id, sort_order').all();
-
-            currentConfig.apiUrls = {};
-            for (const ep of endpoints) {
-                const queryParams = allParams.filter(p => p.endpoint_id === ep.id).map(p => ({
-                    name: p.name, description: p.description || '', required: p.required === 1,
-                    defaultValue: p.default_value || undefined,
-                    validValues: p.valid_values ? JSON.parse(p.valid_values) : undefined
-                }));
-
-                currentConfig.apiUrls[ep.api_key] = {
-                    group: ep.group_name || '默认分组',
-                    description: ep.description || '',
-                    url: ep.url || '',
-                    method: ep.method || 'redirect',
-                    type: ep.type || 'image',
-                    queryParams,
-                    proxySettings: {
-                        imageUrlField: ep.proxy_image_url_field || undefined,
-                        imageUrlFieldFromParam: ep.proxy_image_url_field_from_param === 1 || undefined,
-                        fallbackAction: ep.proxy_fallback_action || 'returnJson'
-                    }
-                };
-                if (ep.url_construction) currentConfig.apiUrls[ep.api_key].urlConstruction = ep.url_construction;
-                if (ep.model_name) currentConfig.apiUrls[ep.api_key].modelName = ep.model_name;
+    response.data.destroy();
+    throw new Error(`Unexpected content type: ${contentType || 'none'}`);
+}
+
+// Tees the upstream stream into a pool file (with backpressure). The client always gets the full response;
+// the copy is ended and removed once it passes MEDIA_CACHE_MAX_FILE_MB, on write errors and when the client aborts.
+function writeMediaCacheCopy(apiKey, media, res) {
+    const tmpPath = path.join(mediaCacheDir, `${crypto.randomBytes(8).toString('hex')}.tmp`);
+    let file = fs.createWriteStream(tmpPath);
+    let size = 0;
+    const discard = () => {
+        if (!file) return;
+        const abandoned = file;
+        file = null;
+        limiter.unpipe(abandoned);
+        abandoned.once('close', () => fs.promises.unlink(tmpPath).catch(() => {}));
+        abandoned.end();
+    };
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (file && size > mediaCacheMaxFileSize) {
+                console.log(`[Cache] /${apiKey} response exceeds MEDIA_CACHE_MAX_FILE_MB; not caching`);
+                discard();
             }
-            console.log(`Configuration loaded: ${endpoints.length} endpoints.`);
-        } else if (fs.existsSync(configPath)) {
-            currentConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-            console.log('Configuration loaded from local file.');
-        } else {
-            console.log('No configuration found. Using default.');
-            currentConfig = { apiUrls: {}, baseTag: '' };
+            callback(null, file ? chunk : undefined);
         }
+    });
+
+    file.on('error', error => {
+        console.error(`[Cache] Failed to write ${tmpPath}: ${error.message}`);
+        discard();
+    });
+    file.on('finish', () => {
+        if (file) storeMediaCacheEntry(apiKey, media, tmpPath, size);
+    });
+    media.stream.on('error', discard);
+    res.on('close', () => {
+        if (!res.writableFinished) discard();
+    });
+    media.stream.pipe(limiter).pipe(file);
+}
 
-        if (enableFileOperations) {
-            try { fs.writeFileSync(configPath, JSON.stringify(currentConfig, null, 2), 'utf8'); } catch (e) { console.error('Backup write failed:', e); }
+function storeMediaCacheEntry(apiKey, media, tmpPath, size) {
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${mediaExtensions[media.contentType] || 'bin'}`;
+    return fs.promises.rename(tmpPath, path.join(mediaCacheDir, fileName)).then(() => {
+        db.prepare('INSERT INTO media_cache (api_key, file_name, content_type, size, source_url) VALUES (?, ?, ?, ?, ?)').run(apiKey, fileName, media.contentType, size, media.sourceUrl);
+        pruneMediaCache();
+    }).catch(error => console.error('[Cache] Failed to store media:', error.message));
+}
+
+function serveFromMediaCache(apiKey, res) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const entry = db.prepare('SELECT * FROM media_cache WHERE api_key = ? ORDER BY RANDOM() LIMIT 1').get(apiKey);
+        if (!entry) return false;
+        const filePath = path.join(mediaCacheDir, entry.file_name);
+        if (!fs.existsSync(filePath)) {
+            db.prepare('DELETE FROM media_cache WHERE id = ?').run(entry.id);
+            continue;
+        }
+        console.log(`[Cache] Serving /${apiKey} from pool: ${entry.file_name}`);
+        res.set({ 'Content-Type': entry.content_type, 'Cache-Control': res.get('Cache-Control') || 'no-store', 'X-Media-Cache': 'HIT' });
+        res.sendFile(filePath);
+        return true;
+    }
+    return false;
+}
+
+async function handleCacheRequest(apiKey, targetUrls, proxySettings = {}, res, upstream = {}) {
+    let lastError;
+    for (const targetUrl of targetUrls) {
+        try {
+            console.log(`[Cache] Fetching: ${targetUrl}`);
+            const media = await fetchMedia(targetUrl, proxySettings, upstream);
+            fs.mkdirSync(mediaCacheDir, { recursive: true });
+
+            res.set({ 'Content-Type': media.contentType, 'Cache-Control': res.get('Cache-Control') || 'no-store', 'X-Media-Cache': 'MISS' });
+            if (media.contentLength) res.set('Content-Length', String(media.contentLength));
+
+            media.stream.on('error', error => {
+                console.error(`[Cache] Stream failed: ${error.message}`);
+                res.destroy();
+            });
+            res.on('close', () => {
+                if (!res.writableFinished) media.stream.destroy();
+            });
+            media.stream.pipe(res);
+            if (!(media.contentLength > mediaCacheMaxFileSize)) writeMediaCacheCopy(apiKey, media, res);
+            return;
+        } catch (error) {
+            lastError = error;
+            console.error(`[Cache] Failed: ${targetUrl} - ${error.message}`);
         }
-    } catch (error) {
-        console.error('Error loading configuration:', error);
-        currentConfig = { apiUrls: {}, baseTag: '' };
     }
+
+    if (serveFromMediaCache(apiKey, res)) return;
+    const status = lastError?.response?.status || (lastError?.request ? 504 : 502);
+    return res.status(status).json({ error: `Upstream unavailable and no cached media: ${lastError?.message || 'unknown error'}` });
 }
 
-function saveConfig(newConfig) {
-    currentConfig = newConfig;
+function deleteMediaCacheEntries(entries) {
+    const remove = db.prepare('DELETE FROM media_cache WHERE id = ?');
+    for (const entry of entries) {
+        remove.run(entry.id);
+        fs.promises.unlink(path.join(mediaCacheDir, entry.file_name)).catch(() => {});
+    }
+    return entries.length;
+}
 
+function pruneMediaCache() {
     try {
-        const saveTransaction = db.transaction(() => {
-            db.prepare("INSERT OR REPLACE INTO global_settings (id, base_tag, updated_at) VALUES (1, ?, datetime('now'))").run(newConfig.baseTag || '');
+        const entries = db.prepare("SELECT id, api_key, file_name, size, created_at < datetime('now', ?) AS expired FROM media_cache ORDER BY created_at, id").all(`-${Math.round(mediaCacheMaxAge / 1000)} seconds`);
+        const expired = entries.filter(e => e.expired || !currentConfig.apiUrls?.[e.api_key]);
+        const kept = entries.filter(e => !expired.includes(e));
 
-            const existingKeys = db.prepare('SELECT api_key FROM api_endpoints').all().map(r => r.api_key);
-            const newKeys = Object.keys(newConfig.apiUrls);
+        let total = kept.reduce((sum, e) => sum + e.size, 0);
+        const evicted = [];
+        while (total > mediaCacheMaxSize && kept.length) {
+            const oldest = kept.shift();
+            total -= oldest.size;
+            evicted.push(oldest);
+        }
+
+        const removed = deleteMediaCacheEntries([...expired, ...evicted]);
+        if (removed) console.log(`[Cache] Pruned ${removed} cached files.`);
+    } catch (error) {
+        console.error('[Cache] Prune failed:', error);
+    }
+}
+
+function getMediaCacheStats() {
+    const stats = {};
+    for (const row of db.prepare('SELECT api_key, COUNT(*) as count, SUM(size) as size FROM media_cache GROUP BY api_key').all()) {
+        stats[row.api_key] = { count: row.count, size: row.size };
+    }
+    return stats;
+}
 
-            existingKeys.filter(k => !newKeys.includes(k)).forEach(k => db.prepare('DELETE FROM api_endpoints WHERE api_key = ?').run(k));
+// === Local Collections ===
+// `method: 'collection'` endpoints serve files uploaded or imported by admins instead of calling an upstream.
+// Items are deduplicated per endpoint by SHA-256; every query param value is a tag the picked item must carry.
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+    return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))].slice(0, 50);
+}
 
-            const upsert = db.prepare("INSERT INTO api_endpoints (api_key, group_name, description, url, method, url_construction, model_name, proxy_image_url_field, proxy_image_url_field_from_param, proxy_fallback_action, type, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now')) ON CONFLICT(api_key) DO UPDATE SET group_name=excluded.group_name, description=excluded.description, url=excluded.url, method=excluded.method, url_construction=excluded.url_construction, model_name=excluded.model_name, proxy_image_url_field=excluded.proxy_image_url_field, proxy_image_url_field_from_param=excluded.proxy_image_url_field_from_param, proxy_fallback_action=excluded.proxy_fallback_action, type=excluded.type, updated_at=datetime('now')");
-            const deleteParams = db.prepare('DELETE FROM query_params WHERE endpoint_id = ?');
-            const insertParam = db.prepare('INSERT INTO query_params (endpoint_id, name, description, required, default_value, valid_values, sort_order) VALUES (?, ?, ?, ?, ?, ?, ?)');
-            const getEndpointId = db.prepare('SELECT id FROM api_endpoints WHERE api_key = ?');
+function collectionItemResource(row) {
+    return { id: row.id, contentType: row.content_type, size: row.size, hash: row.hash, tags: JSON.parse(row.tags || '[]'), originalName: row.original_name, sourceUrl: row.source_url, createdAt: row.created_at };
+}
 
-            for (const [apiKey, config] of Object.entries(newConfig.apiUrls)) {
-                upsert.run(apiKey, config.group || '默认分组', config.description || '', config.url || '', config.method || 'redirect', config.urlConstruction || null, config.modelName || null, config.proxySettings?.imageUrlField || null, config.proxySettings?.imageUrlFieldFromParam ? 1 : 0, config.proxySettings?.fallbackAction || 'returnJson', config.type || 'image');
+async function addCollectionItem(apiKey, buffer, { tags = [], originalName = null, sourceUrl = null } = {}) {
+    if (buffer.length > collectionMaxFileSize) throw new Error(`File exceeds the ${collectionMaxFileSize / 1024 / 1024} MB limit`);
+    // The declared content type is not trusted; files are identified by their magic bytes
+    const contentType = sniffImageType(buffer);
+    if (!contentType) throw new Error('Unsupported file type; only images and videos are accepted');
+    if (contentType === 'image/svg+xml') throw new Error('SVG files are not accepted because they can carry scripts');
 
-                const row = getEndpointId.get(apiKey);
-                if (row) {
-                    deleteParams.run(row.id);
-                    (config.queryParams || []).forEach((param, i) => insertParam.run(row.id, param.name || '', param.description || '', param.required ? 1 : 0, param.defaultValue || null, param.validValues ? JSON.stringify(param.validValues) : null, i));
-                }
-            }
-        });
-        saveTransaction();
-        console.log('Configuration saved to database.');
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const existing = db.prepare('SELECT * FROM collection_items WHERE api_key = ? AND hash = ?').get(apiKey, hash);
+    if (existing) {
+        // Adding a known file again only merges its tags
+        const merged = JSON.stringify(normalizeTags([...JSON.parse(existing.tags || '[]'), ...normalizeTags(tags)]));
+        db.prepare('UPDATE collection_items SET tags = ? WHERE id = ?').run(merged, existing.id);
+        return { duplicate: true, item: collectionItemResource({ ...existing, tags: merged }) };
+    }
 
-        if (enableFileOperations) {
-            try { fs.writeFileSync(configPath, JSON.stringify(currentConfig, null, 2), 'utf8'); } catch (e) { console.error('Backup write failed:', e); }
-        }
-        return { success: true, message: 'Configuration saved successfully.' };
+    await fs.promises.mkdir(collectionDir, { recursive: true });
+    const fileName = `${hash.slice(0, 16)}-${crypto.randomBytes(4).toString('hex')}.${mediaExtensions[contentType] || 'bin'}`;
+    await fs.promises.writeFile(path.join(collectionDir, fileName), buffer);
+    try {
+        const { lastInsertRowid } = db.prepare('INSERT INTO collection_items (api_key, file_name, content_type, size, hash, tags, original_name, source_url) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+            .run(apiKey, fileName, contentType, buffer.length, hash, JSON.stringify(normalizeTags(tags)), originalName, sourceUrl);
+        return { duplicate: false, item: collectionItemResource(db.prepare('SELECT * FROM collection_items WHERE id = ?').get(lastInsertRowid)) };
     } catch (error) {
-        console.error('Error saving configuration:', error);
-        return { success: false, error: error.message };
+        await fs.promises.unlink(path.join(collectionDir, fileName)).catch(() => {});
+        // The same file was added concurrently; treat it as a duplicate
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') return addCollectionItem(apiKey, buffer, { tags, originalName, sourceUrl });
+        throw error;
     }
 }
 
-// === Utility Functions ===
-function getValueByDotNotation(obj, path) {
-    if (!path) return undefined;
-    return path.split('.').reduce((curr, key) => curr?.[key], obj);
+async function importCollectionUrls(apiKey, urls, tags) {
+    const result = { added: [], duplicates: [], failed: [] };
+    for (const url of urls) {
+        try {
+            if (!/^https?:\/\//i.test(url)) throw new Error('Only http(s) URLs can be imported');
+            const media = await fetchMedia(url, {}, {}, false);
+            const buffer = await readStream(media.stream, collectionMaxFileSize);
+            const { duplicate, item } = await addCollectionItem(apiKey, buffer, { tags, sourceUrl: url, originalName: path.basename(new URL(url).pathname) || null });
+            result[duplicate ? 'duplicates' : 'added'].push(item);
+        } catch (error) {
+            result.failed.push({ url, error: error.message });
+        }
+    }
+    return result;
+}
+
+function listCollectionItems(apiKey, { tags = [], limit = 100, offset = 0 } = {}) {
+    const filter = tags.map(() => ' AND EXISTS (SELECT 1 FROM json_each(collection_items.tags) WHERE value = ?)').join('');
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM collection_items WHERE api_key = ?${filter}`).get(apiKey, ...tags).count;
+    const items = db.prepare(`SELECT * FROM collection_items WHERE api_key = ?${filter} ORDER BY id DESC LIMIT ? OFFSET ?`).all(apiKey, ...tags, limit, offset);
+    return { total, items: items.map(collectionItemResource) };
+}
+
+function pickCollectionItem(apiKey, tags) {
+    const filter = tags.map(() => ' AND EXISTS (SELECT 1 FROM json_each(collection_items.tags) WHERE value = ?)').join('');
+    return db.prepare(`SELECT * FROM collection_items WHERE api_key = ?${filter} ORDER BY RANDOM() LIMIT 1`).get(apiKey, ...tags);
+}
+
+function serveCollectionItem(apiKey, params, res) {
+    const tags = normalizeTags(Object.values(params).flatMap(normalizeTags));
+    const item = pickCollectionItem(apiKey, tags);
+    if (!item) return res.status(404).json({ error: tags.length ? `No item in /${apiKey} is tagged ${tags.join(', ')}` : `Collection /${apiKey} is empty` });
+
+    const filePath = path.join(collectionDir, item.file_name);
+    if (!fs.existsSync(filePath)) {
+        console.error(`[Collection] File missing for /${apiKey} item ${item.id}: ${item.file_name}`);
+        return res.status(500).json({ error: 'Collection file missing' });
+    }
+    console.log(`[Collection] Serving /${apiKey} item ${item.id}`);
+    res.set({ 'Content-Type': item.content_type, 'Cache-Control': res.get('Cache-Control') || 'no-store', 'X-Content-Type-Options': 'nosniff', 'X-Collection-Item': String(item.id) });
+    res.sendFile(filePath);
+}
+
+function deleteCollectionItem(row) {
+    db.prepare('DELETE FROM collection_items WHERE id = ?').run(row.id);
+    fs.promises.unlink(path.join(collectionDir, row.file_name)).catch(() => {});
+}
+
+function getCollectionStats() {
+    const stats = {};
+    for (const row of db.prepare('SELECT api_key, COUNT(*) as count, SUM(size) as size FROM collection_items GROUP BY api_key').all()) {
+        stats[row.api_key] = { count: row.count, size: row.size };
+    }
+    return stats;
 }
 
-async function handleProxyRequest(targetUrl, proxySettings = {}, res) {
+// === Health Checks ===
+let healthCheckRunning = false;
+
+function getProbeUrl(configEntry) {
+    // Endpoints with unfilled required params cannot be probed without user input
+    // POST upstreams usually start a paid generation, so they are not probed either
+    if (!configEntry.url || (configEntry.upstreamMethod && configEntry.upstreamMethod !== 'GET')) return null;
+    const { params, pathNames, errors } = resolveParams(configEntry, {});
+    if (errors.length) return null;
+    const url = resolveTargetUrl(configEntry.url, params, true, pathNames);
+    // Templates may point at another local endpoint
+    return /^https?:\/\//i.test(url) ? url : null;
+}
+
+async function probeEndpoint(configEntry) {
+    const probeUrl = getProbeUrl(configEntry);
+    if (!probeUrl) return null;
+
+    const started = Date.now();
     try {
-        console.log(`[Proxy] Requesting: ${targetUrl}`);
-        const response = await axios.get(targetUrl, { timeout: 15000, validateStatus: s => s >= 200 && s < 500 });
+        const response = await axios.get(probeUrl, { timeout: healthCheckTimeout, maxRedirects: 5, responseType: 'stream', headers: buildRequestHeaders(configEntry), validateStatus: () => true });
+        response.data.destroy();
+        const contentType = String(response.headers['content-type'] || '').split(';')[0].trim();
+        const isMedia = /^(image|video)\//i.test(contentType);
+        // Proxy endpoints answer with JSON that points at the media, so any 2xx counts for them
+        const returnsJson = configEntry.method === 'proxy' || (configEntry.method === 'cache' && configEntry.proxySettings?.imageUrlField);
+        const ok = response.status >= 200 && response.status < 300 && (returnsJson || isMedia);
+        return {
+            status: ok ? 'up' : 'down',
+            statusCode: response.status,
+            contentType,
+            latencyMs: Date.now() - started,
+            error: ok ? null : (response.status >= 300 ? `HTTP ${response.status}` : `Unexpected content type: ${contentType || 'none'}`)
+        };
+    } catch (error) {
+        return { status: 'down', statusCode: error.response?.status || null, contentType: null, latencyMs: Date.now() - started, error: error.message };
+    }
+}
+
+function recordHealth(apiKey, result) {
+    db.prepare(`INSERT INTO endpoint_health (api_key, status, status_code, content_type, latency_ms, error, consecutive_failures, last_checked, last_success) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), CASE WHEN ? = 'up' THEN datetime('now') END)
+        ON CONFLICT(api_key) DO UPDATE SET status=excluded.status, status_code=excluded.status_code, content_type=excluded.content_type, latency_ms=excluded.latency_ms, error=excluded.error,
+        consecutive_failures=CASE WHEN excluded.status = 'up' THEN 0 ELSE endpoint_health.consecutive_failures + 1 END, last_checked=excluded.last_checked, last_success=COALESCE(excluded.last_success, endpoint_health.last_success)`)
+        .run(apiKey, result.status, result.statusCode, result.contentType, result.latencyMs, result.error, result.status === 'up' ? 0 : 1, result.status);
+}
 
-        if (response.status >= 400) return res.status(response.status).json(response.data || { error: `Target API error (${response.status})` });
+function getHealthMap() {
+    const map = {};
+    for (const row of db.prepare('SELECT * FROM endpoint_health').all()) {
+        map[row.api_key] = {
+            status: row.status, statusCode: row.status_code, contentType: row.content_type, latencyMs: row.latency_ms, error: row.error,
+            consecutiveFailures: row.consecutive_failures, lastChecked: row.last_checked, lastSuccess: row.last_success
+        };
+    }
+    return map;
+}
 
-        let imageUrl = proxySettings.imageUrlField && response.data ? getValueByDotNotation(response.data, proxySettings.imageUrlField) : null;
-        if (typeof imageUrl === 'string' && imageUrl.match(/\.(jpeg|jpg|gif|png|webp|bmp|svg)/i)) {
-            console.log(`[Proxy] Redirecting to: ${imageUrl}`);
-            return res.redirect(imageUrl);
+async function runHealthChecks(onlyKey) {
+    if (healthCheckRunning) return false;
+    healthCheckRunning = true;
+    try {
+        const keys = onlyKey ? [onlyKey] : Object.keys(currentConfig.apiUrls || {});
+        if (!onlyKey) {
+            const existing = db.prepare('SELECT api_key FROM endpoint_health').all().map(r => r.api_key);
+            existing.filter(k => !keys.includes(k)).forEach(k => db.prepare('DELETE FROM endpoint_health WHERE api_key = ?').run(k));
         }
 
-        const fallback = proxySettings.fallbackAction || 'returnJson';
-        return fallback === 'error' ? res.status(404).json({ error: 'Could not extract image URL' }) : res.json(response.data);
+        let checked = 0;
+        // Probe sequentially so a large config does not burst all upstreams at once
+        for (const apiKey of keys) {
+            const configEntry = currentConfig.apiUrls?.[apiKey];
+            // Disabled endpoints are only probed on request
+            if (!configEntry || (!onlyKey && configEntry.enabled === false)) continue;
+            const result = await probeEndpoint(configEntry);
+            if (!result) continue;
+            recordHealth(apiKey, result);
+            checked++;
+            if (result.status === 'down') console.warn(`[Health] /${apiKey} is down: ${result.error}`);
+        }
+        console.log(`[Health] Checked ${checked} endpoints.`);
+        return true;
     } catch (error) {
-        console.error(`[Proxy] Failed: ${error.message}`);
-        if (error.response) return res.status(error.response.status).json(error.response.data || { error: 'Proxy target error' });
-        if (error.request) return res.status(504).json({ error: 'Proxy request timeout' });
-        return res.status(500).json({ error: 'Proxy setup failed' });
+        console.error('[Health] Check run failed:', error);
+        return false;
+    } finally {
+        healthCheckRunning = false;
+    }
+}
+
+function startHealthChecks() {
+    if (!(healthCheckInterval > 0)) {
+        console.log('Health checks disabled.');
+        return;
     }
+    setTimeout(runHealthChecks, 5000);
+    setInterval(runHealthChecks, healthCheckInterval * 60 * 1000);
+    console.log(`Health checks scheduled every ${healthCheckInterval} minutes.`);
+}
+
+// === Users & Sessions ===
+const roleLevels = { viewer: 1, editor: 2, owner: 3 };
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `scrypt$${salt}$${crypto.scryptSync(String(password), salt, 64).toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function validateUserInput({ username, password, role }, { partial = false } = {}) {
+    if (!partial || username !== undefined) {
+        if (typeof username !== 'string' || !/^[A-Za-z0-9_.-]{1,32}$/.test(username)) return 'Username must be 1-32 characters of letters, digits, "_", "." or "-".';
+    }
+    if (!partial || password !== undefined) {
+        if (typeof password !== 'string' || password.length < 6) return 'Password must be at least 6 characters.';
+    }
+    if (!partial || role !== undefined) {
+        if (!roleLevels[role]) return `Role must be one of: ${Object.keys(roleLevels).join(', ')}.`;
+    }
+    return null;
+}
+
+const userColumns = 'id, username, role, created_at, last_login';
+const listUsers = () => db.prepare(`SELECT ${userColumns} FROM users ORDER BY id`).all();
+const getUser = id => db.prepare(`SELECT ${userColumns} FROM users WHERE id = ?`).get(id);
+const countOwners = () => db.prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'owner'").get().count;
+
+// The first start creates an owner account whose password is ADMIN_TOKEN, so existing deployments keep working
+function ensureOwnerAccount() {
+    if (db.prepare('SELECT 1 FROM users LIMIT 1').get()) return;
+    db.prepare("INSERT INTO users (username, password_hash, role) VALUES (?, ?, 'owner')").run(adminUsername, hashPassword(adminToken));
+    console.log(`Created owner account "${adminUsername}" (password from ADMIN_TOKEN).`);
+}
+
+function createSession(userId, ip) {
+    const id = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + sessionTtl).toISOString().replace('T', ' ').slice(0, 19);
+    db.prepare('INSERT INTO sessions (id, user_id, expires_at, client_ip) VALUES (?, ?, ?, ?)').run(id, userId, expiresAt, ip);
+    db.prepare("UPDATE users SET last_login = datetime('now') WHERE id = ?").run(userId);
+    return id;
+}
+
+function getSessionUser(sessionId) {
+    if (!sessionId) return null;
+    return db.prepare(`SELECT u.id, u.username, u.role FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.id = ? AND s.expires_at > datetime('now')`).get(sessionId) || null;
+}
+
+function deleteSessions(userId, exceptSessionId = null) {
+    db.prepare('DELETE FROM sessions WHERE user_id = ? AND id != ?').run(userId, exceptSessionId || '');
+}
+
+function pruneSessions() {
+    const result = db.prepare("DELETE FROM sessions WHERE expires_at <= datetime('now')").run();
+    if (result.changes) console.log(`Pruned ${result.changes} expired sessions.`);
 }
 
 // === Express Setup ===
 const app = express();
-app.use(cors());
-app.use(express.json());
+if (trustProxy && trustProxy !== 'false') app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+app.use(cors({ exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Resolved-Endpoint', 'X-Collection-Item', 'X-Media-Cache', 'X-Cache', 'Age', 'X-Dedup-Retries', 'Mcp-Session-Id'] }));
+// Collection uploads keep their raw body (see collectionUpload), whatever Content-Type the client sends
+const jsonParser = express.json({ limit: '5mb' });
+const collectionUploadPath = /^\/config\/collections\/[^/]+\/items\/?$/;
+app.use((req, res, next) => req.method === 'POST' && collectionUploadPath.test(req.path) ? next() : jsonParser(req, res, next));
 app.use(cookieParser());
 app.use('/css', express.static(path.join(__dirname, 'public', 'css')));
 app.use('/js', express.static(path.join(__dirname, 'public', 'js')));
 
 // === Auth Middleware ===
-function checkAdminAuth(req, res, next) {
-    if (req.cookies?.[adminCookieName] === adminToken) return next();
-    if (req.path.startsWith('/config') || req.headers.accept?.includes('application/json')) return res.status(401).json({ error: 'Unauthorized' });
-    res.redirect('/admin-login');
+// checkAdminAuth(role) requires a logged-in user with at least the given role (viewer < editor < owner)
+function checkAdminAuth(role = 'viewer') {
+    return (req, res, next) => {
+        const user = getSessionUser(req.cookies?.[sessionCookieName]);
+        if (!user) {
+            if (req.path.startsWith('/config') || req.headers.accept?.includes('application/json')) return res.status(401).json({ error: 'Unauthorized' });
+            return res.redirect('/admin-login');
+        }
+        if (roleLevels[user.role] < roleLevels[role]) return res.status(403).json({ error: `This action requires the ${role} role.` });
+        req.user = user;
+        next();
+    };
 }
 
 // === Routes ===
 // Homepage data API
 app.get('/api/homepage-data', (req, res) => {
     const baseURL = `${req.protocol}://${req.get('host')}`;
-    const groupOrder = { 'AI绘图': 1, '二次元图片': 2, '三次元图片': 3, '表情包': 4, '默认分组': 99 };
+    const health = getHealthMap();
+    const visibleApis = getVisibleApis(health);
 
     // Group endpoints
     const groupedApis = {};
-    for (const key in currentConfig.apiUrls) {
-        const entry = currentConfig.apiUrls[key];
+    for (const key in visibleApis) {
+        const entry = visibleApis[key];
         const group = entry.group || '默认分组';
         if (!groupedApis[group]) groupedApis[group] = [];
         groupedApis[group].push({ key, ...entry });
     }
 
-    // Generate LLM prompt
-    const allApis = Object.entries(currentConfig.apiUrls).map(([key, e]) => ({ key, ...e }));
-    allApis.sort((a, b) => (groupOrder[a.group || '默认分组'] || 50) - (groupOrder[b.group || '默认分组'] || 50) || a.key.localeCompare(b.key));
+    const llmPrompt = renderPromptTemplate(getPromptTemplate(), buildPromptView(baseURL));
+
+    // Structured data only; the page escapes everything when rendering
+    const groups = Object.keys(groupedApis).sort(compareGroups).map(name => ({
+        name,
+        endpoints: groupedApis[name].sort((a, b) => a.key.localeCompare(b.key)).map(entry => ({
+            key: entry.key,
+            url: `${baseURL}/${entry.key}`,
+            description: entry.description || '',
+            requiresKey: endpointRequiresKey(entry),
+            down: health[entry.key]?.status === 'down'
+        }))
+    }));
+
+    // Public page: status of the listed endpoints only, without upstream error details
+    const publicHealth = Object.fromEntries(Object.keys(visibleApis).filter(key => health[key]).map(key => [key, { status: health[key].status, lastChecked: health[key].lastChecked }]));
+    res.json({ llmPrompt, groups, health: publicHealth });
+});
+
+// LLM integrations: rendered prompt templates and tool definitions for function calling / MCP clients
+app.get('/api/prompt', (req, res) => {
+    const name = typeof req.query.template === 'string' && req.query.template ? req.query.template : 'default';
+    const template = getPromptTemplate(name);
+    if (template === null) return res.status(404).json({ error: `Prompt template not found: ${name}` });
+    res.type('text/plain').send(renderPromptTemplate(template, buildPromptView(`${req.protocol}://${req.get('host')}`)));
+});
+
+app.get('/api/tools/openai', (req, res) => {
+    res.json(toOpenAiTools(buildToolDefinitions(`${req.protocol}://${req.get('host')}`)));
+});
+
+app.get('/api/tools/mcp', (req, res) => {
+    res.json(toMcpTools(buildToolDefinitions(`${req.protocol}://${req.get('host')}`)));
+});
 
-    const pathFunctions = allApis.map(e => {
-        const desc = e.description || e.group || '默认分组';
-        return e.group === 'AI绘图' ? `${desc}:/${e.key}?tags=<tags>` : `${desc}:/${e.key}`;
+// MCP over Streamable HTTP (POST /mcp, stateless) and the older HTTP+SSE transport (GET /mcp/sse + POST /mcp/messages)
+if (enableMcp) {
+    app.post('/mcp', async (req, res) => {
+        const reply = await handleMcpBatch(req.body, getMcpHttpContext(req));
+        if (!reply || (Array.isArray(reply) && !reply.length)) return res.status(202).end();
+        res.json(reply);
     });
 
-    const llmPrompt = `    picture_url: |
-    {{ 
-    根据用户请求，选择合适的图片API路径，生成并返回完整URL。仅输出最终URL。
-    基础URL：${baseURL}
-    可用路径：
-${pathFunctions.map(p => `    - ${p}`).join('\n')}
-    }}`;
+    app.get('/mcp', (req, res) => res.status(405).set('Allow', 'POST').json({ error: 'Use POST for MCP requests, or GET /mcp/sse for the SSE transport.' }));
 
-    // Generate HTML for groups
-    const sortedGroups = Object.keys(groupedApis).sort((a, b) => (groupOrder[a] || 99) - (groupOrder[b] || 99));
-    let groupsHtml = '';
-
-    sortedGroups.forEach(groupName => {
-        groupedApis[groupName].sort((a, b) => a.key.localeCompare(b.key));
-        let cardsHtml = '';
-        groupedApis[groupName].forEach(entry => {
-            const apiUrl = `${baseURL}/${entry.key}`;
-            cardsHtml += `
-            <div class="api-card">
-                <div class="api-card-image" onclick="refreshImage(this, '${apiUrl}')">
-                    <div class="media-loader"><div class="loader-spinner"></div><span>加载中...</span></div>
-                    <img src="${apiUrl}?t=${Date.now()}" alt="${entry.description || entry.key}" loading="lazy" onload="hideLoader(this)" onerror="handleMediaError(this, '${apiUrl}')">
-                    <div class="image-overlay"><span class="refresh-hint"><i class="bi bi-arrow-clockwise"></i> 点击刷新</span></div>
-                    <span class="api-badge">${entry.description || entry.key}</span>
-                </div>
-                <div class="api-card-info">
-                    <p class="api-hint">👆点击图片可刷新预览</p>
-                    <p class="api-url">${apiUrl}</p>
-                </div>
-            </div>`;
+    app.get('/mcp/sse', (req, res) => {
+        const sessionId = crypto.randomUUID();
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        res.flushHeaders();
+        mcpSseSessions.set(sessionId, { res, context: getMcpHttpContext(req) });
+        res.write(`event: endpoint\ndata: /mcp/messages?sessionId=${sessionId}\n\n`);
+        const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            mcpSseSessions.delete(sessionId);
         });
-        groupsHtml += `<div class="group-section"><h3 class="group-title-home">${groupName}</h3><div class="cards-row">${cardsHtml}</div></div>`;
     });
 
-    res.json({ llmPrompt, groupsHtml });
+    app.post('/mcp/messages', async (req, res) => {
+        const session = mcpSseSessions.get(req.query.sessionId);
+        if (!session) return res.status(404).json({ error: 'Unknown MCP session.' });
+        res.status(202).end();
+        const reply = await handleMcpBatch(req.body, session.context);
+        if (reply && (!Array.isArray(reply) || reply.length)) session.res.write(`event: message\ndata: ${JSON.stringify(reply)}\n\n`);
+    });
+}
+
+// OpenAPI 3 description of the public endpoints, rebuilt from the live config on every request
+app.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiSpec(`${req.protocol}://${req.get('host')}`));
 });
 
 // Static HTML pages
 app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
+app.get('/docs', (req, res) => res.sendFile(path.join(__dirname, 'public', 'docs.html')));
 app.get('/admin-login', (req, res) => res.sendFile(path.join(__dirname, 'public', 'admin-login.html')));
-app.get('/admin', checkAdminAuth, (req, res) => res.sendFile(path.join(__dirname, 'public', 'admin.html')));
-app.get('/admin-logout', (req, res) => { res.clearCookie(adminCookieName); res.redirect('/admin-login'); });
+app.get('/admin', checkAdminAuth(), (req, res) => res.sendFile(path.join(__dirname, 'public', 'admin.html')));
+app.get('/admin/stats', checkAdminAuth(), (req, res) => res.sendFile(path.join(__dirname, 'public', 'admin-stats.html')));
+app.get('/admin-logout', (req, res) => {
+    const sessionId = req.cookies?.[sessionCookieName];
+    const user = getSessionUser(sessionId);
+    if (user) {
+        db.prepare('DELETE FROM sessions WHERE id = ?').run(sessionId);
+        recordAudit({ author: user.username, ip: req.ip }, 'logout');
+    }
+    res.clearCookie(sessionCookieName);
+    res.redirect('/admin-login');
+});
 
-// Auth
+// Auth: { username, password }; a bare { token } logs in as ADMIN_USERNAME for older clients
 app.post('/admin-auth', (req, res) => {
-    if (req.body.token === adminToken) {
-        res.cookie(adminCookieName, req.body.token, { maxAge: 24 * 60 * 60 * 1000, httpOnly: true, sameSite: 'strict' });
-        res.json({ success: true });
-    } else {
-        res.status(401).json({ error: '无效的管理令牌' });
+    const username = req.body?.username || adminUsername;
+    const password = req.body?.password ?? req.body?.token ?? '';
+    const user = db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+    // Unknown users still pay for a hash comparison so response times do not reveal which usernames exist
+    const valid = verifyPassword(password, user?.password_hash || hashPassword(''));
+    if (!user || !valid) {
+        recordAudit({ author: username, ip: req.ip }, 'login.failed');
+        return res.status(401).json({ error: '用户名或密码错误' });
     }
+    const sessionId = createSession(user.id, req.ip);
+    recordAudit({ author: user.username, ip: req.ip }, 'login');
+    res.cookie(sessionCookieName, sessionId, { maxAge: sessionTtl, httpOnly: true, sameSite: 'strict' });
+    res.json({ success: true, user: { username: user.username, role: user.role } });
+});
+
+// Current user
+app.get('/config/me', checkAdminAuth(), (req, res) => res.json(req.user));
+
+app.post('/config/me/password', checkAdminAuth(), (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+    if (!verifyPassword(currentPassword ?? '', user.password_hash)) return res.status(400).json({ error: 'Current password is incorrect.' });
+    const invalid = validateUserInput({ password: newPassword }, { partial: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+    db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hashPassword(newPassword), user.id);
+    deleteSessions(user.id, req.cookies[sessionCookieName]);
+    recordAudit(getChangeContext(req), 'user.password', user.username);
+    res.json({ message: 'Password changed.' });
+});
+
+// User management (owner only)
+app.get('/config/users', checkAdminAuth('owner'), (req, res) => res.json({ users: listUsers(), roles: Object.keys(roleLevels) }));
+
+app.post('/config/users', checkAdminAuth('owner'), (req, res) => {
+    const { username, password, role = 'viewer' } = req.body || {};
+    const invalid = validateUserInput({ username, password, role });
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (db.prepare('SELECT 1 FROM users WHERE username = ?').get(username)) return res.status(409).json({ error: `User "${username}" already exists.` });
+    const { lastInsertRowid } = db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)').run(username, hashPassword(password), role);
+    recordAudit(getChangeContext(req), 'user.create', username, { role });
+    res.status(201).json(getUser(lastInsertRowid));
+});
+
+app.patch('/config/users/:id', checkAdminAuth('owner'), (req, res) => {
+    const user = getUser(toInt(req.params.id, 0));
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+    const { role, password } = req.body || {};
+    const invalid = validateUserInput({ role, password }, { partial: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (role && role !== 'owner' && user.role === 'owner' && countOwners() <= 1) return res.status(409).json({ error: 'Cannot demote the last owner.' });
+
+    if (role) db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, user.id);
+    if (password) db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hashPassword(password), user.id);
+    if (password || (role && role !== user.role)) deleteSessions(user.id, user.id === req.user.id ? req.cookies[sessionCookieName] : null);
+    recordAudit(getChangeContext(req), 'user.update', user.username, { ...(role && { role }), ...(password && { passwordReset: true }) });
+    res.json(getUser(user.id));
+});
+
+app.delete('/config/users/:id', checkAdminAuth('owner'), (req, res) => {
+    const user = getUser(toInt(req.params.id, 0));
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+    if (user.id === req.user.id) return res.status(409).json({ error: 'You cannot delete your own account.' });
+    db.prepare('DELETE FROM users WHERE id = ?').run(user.id);
+    recordAudit(getChangeContext(req), 'user.delete', user.username);
+    res.status(204).end();
+});
+
+app.get('/config/audit', checkAdminAuth('owner'), (req, res) => {
+    res.json({ entries: getAuditLog({ limit: Math.min(toInt(req.query.limit, 100), 1000), username: req.query.user, target: req.query.key }) });
 });
 
 // Config API
-app.get('/config', checkAdminAuth, (req, res) => res.json(currentConfig));
-app.post('/config', checkAdminAuth, (req, res) => {
+app.get('/config', checkAdminAuth(), (req, res) => res.json(maskConfigSecrets(currentConfig)));
+app.get('/config/health', checkAdminAuth(), (req, res) => res.json(getHealthMap()));
+app.post('/config/health/check', checkAdminAuth('editor'), async (req, res) => {
+    const apiKey = req.query.key;
+    if (apiKey && !currentConfig.apiUrls?.[apiKey]) return res.status(404).json({ error: 'Endpoint not found.' });
+    if (!await runHealthChecks(apiKey)) return res.status(409).json({ error: 'A health check is already running.' });
+    res.json(getHealthMap());
+});
+app.get('/config/availability', checkAdminAuth(), (req, res) => {
+    res.json({ serverTime: new Date().toISOString(), timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone, endpoints: getAvailabilityMap() });
+});
+app.get('/config/media-cache', checkAdminAuth(), (req, res) => res.json(getMediaCacheStats()));
+app.delete('/config/media-cache', checkAdminAuth('editor'), (req, res) => {
+    const apiKey = req.query.key;
+    const entries = apiKey ? db.prepare('SELECT id, file_name FROM media_cache WHERE api_key = ?').all(apiKey) : db.prepare('SELECT id, file_name FROM media_cache').all();
+    res.json({ removed: deleteMediaCacheEntries(entries) });
+});
+app.get('/config/response-cache', checkAdminAuth(), (req, res) => res.json(getResponseCacheStats()));
+app.get('/config/response-cache/:key', checkAdminAuth(), (req, res) => res.json(listResponseCache(req.params.key)));
+app.delete('/config/response-cache', checkAdminAuth('editor'), (req, res) => {
+    res.json({ removed: purgeResponseCache(req.query.key, req.query.entry) });
+});
+app.get('/config/served/:key', checkAdminAuth(), (req, res) => {
+    if (!currentConfig.apiUrls?.[req.params.key]) return res.status(404).json({ error: 'Endpoint not found.' });
+    const clients = [...servedHistory.keys()].filter(k => k.startsWith(`${req.params.key}\n`)).length;
+    res.json({ clients, items: servedGallery.get(req.params.key) || [] });
+});
+app.delete('/config/served/:key', checkAdminAuth('editor'), (req, res) => {
+    clearServedHistory(req.params.key);
+    res.status(204).end();
+});
+
+// Local collections: raw request bodies are uploaded as-is, tags and the original name come in the query string
+const collectionUpload = express.raw({ type: () => true, limit: collectionMaxFileSize });
+
+function getCollectionEndpoint(req, res) {
+    if (currentConfig.apiUrls?.[req.params.key]?.method === 'collection') return req.params.key;
+    res.status(404).json({ error: 'Collection endpoint not found.' });
+    return null;
+}
+
+function getCollectionItemRow(req, res) {
+    const row = db.prepare('SELECT * FROM collection_items WHERE id = ? AND api_key = ?').get(toInt(req.params.id, 0), req.params.key);
+    if (!row) res.status(404).json({ error: 'Collection item not found.' });
+    return row;
+}
+
+app.get('/config/collections', checkAdminAuth(), (req, res) => res.json(getCollectionStats()));
+app.get('/config/collections/:key/items', checkAdminAuth(), (req, res) => {
+    res.json(listCollectionItems(req.params.key, {
+        tags: normalizeTags(req.query.tags),
+        limit: Math.min(Math.max(toInt(req.query.limit, 100), 1), 500),
+        offset: Math.max(toInt(req.query.offset, 0), 0)
+    }));
+});
+app.get('/config/collections/:key/items/:id/file', checkAdminAuth(), (req, res) => {
+    const row = getCollectionItemRow(req, res);
+    if (!row) return;
+    res.set({ 'Content-Type': row.content_type, 'X-Content-Type-Options': 'nosniff' });
+    res.sendFile(path.join(collectionDir, row.file_name), error => {
+        if (error && !res.headersSent) res.status(404).json({ error: 'Collection file missing.' });
+    });
+});
+app.post('/config/collections/:key/items', checkAdminAuth('editor'), (req, res, next) => collectionUpload(req, res, error => {
+    if (error) return res.status(error.status || 400).json({ error: error.type === 'entity.too.large' ? `File exceeds the ${collectionMaxFileSize / 1024 / 1024} MB limit` : error.message });
+    next();
+}), async (req, res) => {
+    const apiKey = getCollectionEndpoint(req, res);
+    if (!apiKey) return;
+    if (!Buffer.isBuffer(req.body) || !req.body.length) return res.status(400).json({ error: 'Send the file as the request body.' });
+    try {
+        const result = await addCollectionItem(apiKey, req.body, { tags: normalizeTags(req.query.tags), originalName: typeof req.query.name === 'string' ? req.query.name.slice(0, 255) : null });
+        recordAudit(getChangeContext(req), 'collection.upload', apiKey, { item: result.item.id, duplicate: result.duplicate || undefined });
+        res.status(result.duplicate ? 200 : 201).json(result);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+app.post('/config/collections/:key/import', checkAdminAuth('editor'), async (req, res) => {
+    const apiKey = getCollectionEndpoint(req, res);
+    if (!apiKey) return;
+    const urls = Array.isArray(req.body?.urls) ? [...new Set(req.body.urls.map(u => String(u).trim()).filter(Boolean))] : [];
+    if (!urls.length) return res.status(400).json({ error: 'urls must be a non-empty array.' });
+    if (urls.length > 100) return res.status(400).json({ error: 'At most 100 URLs can be imported at once.' });
+    const result = await importCollectionUrls(apiKey, urls, normalizeTags(req.body.tags));
+    recordAudit(getChangeContext(req), 'collection.import', apiKey, { added: result.added.length, duplicates: result.duplicates.length, failed: result.failed.length });
+    res.json(result);
+});
+app.patch('/config/collections/:key/items/:id', checkAdminAuth('editor'), (req, res) => {
+    const row = getCollectionItemRow(req, res);
+    if (!row) return;
+    if (req.body?.tags === undefined) return res.status(400).json({ error: 'tags is required.' });
+    const tags = JSON.stringify(normalizeTags(req.body.tags));
+    db.prepare('UPDATE collection_items SET tags = ? WHERE id = ?').run(tags, row.id);
+    recordAudit(getChangeContext(req), 'collection.update', row.api_key, { item: row.id, tags: JSON.parse(tags) });
+    res.json(collectionItemResource({ ...row, tags }));
+});
+app.delete('/config/collections/:key/items/:id', checkAdminAuth('editor'), (req, res) => {
+    const row = getCollectionItemRow(req, res);
+    if (!row) return;
+    deleteCollectionItem(row);
+    recordAudit(getChangeContext(req), 'collection.delete', row.api_key, { item: row.id });
+    res.status(204).end();
+});
+
+app.get('/config/stats', checkAdminAuth(), (req, res) => {
+    const window = statsWindows[req.query.window] ? req.query.window : '24h';
+    res.json({ window, ...getRequestStats(statsWindows[window]) });
+});
+app.get('/config/stats/timeline', checkAdminAuth(), (req, res) => {
+    const window = statsWindows[req.query.window] ? req.query.window : '24h';
+    res.json({ window, key: req.query.key || null, buckets: getRequestTimeline(statsWindows[window], req.query.key) });
+});
+app.get('/config/stats/referers', checkAdminAuth(), (req, res) => {
+    const window = statsWindows[req.query.window] ? req.query.window : '24h';
+    res.json({ window, key: req.query.key || null, referers: getTopReferers(statsWindows[window], req.query.key, Math.min(toInt(req.query.limit, 20), 100)) });
+});
+// Runs an extraction expression against a pasted sample response (JSON or raw text)
+app.post('/config/extraction/test', checkAdminAuth(), (req, res) => {
+    const { expression, pickMode, sample } = req.body || {};
+    if (typeof sample !== 'string') return res.status(400).json({ error: 'sample must be a string.' });
+    let data = sample;
+    try { data = JSON.parse(sample); } catch {}
+
+    try {
+        const compiled = compileExtraction(expression);
+        const matches = extractValues(data, compiled);
+        const picked = extractValue(data, compiled, pickMode);
+        res.json({
+            type: compiled.type,
+            parsedAs: typeof data === 'string' ? 'text' : 'json',
+            count: matches.length,
+            matches: matches.slice(0, 50),
+            picked,
+            pickedKind: picked === null ? null : decodeInlineImage(picked) ? 'inline' : 'url'
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/config', checkAdminAuth('editor'), (req, res) => {
     const newConfig = req.body;
-    if (!newConfig?.apiUrls) return res.status(400).json({ error: 'Invalid configuration format.' });
-    const result = saveConfig(newConfig);
+    const invalid = validateFullConfig(newConfig);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const change = getChangeContext(req);
+    const apiUrls = Object.fromEntries(Object.entries(newConfig.apiUrls).map(([key, entry]) => [key, unmaskSecrets(entry, currentConfig.apiUrls[key])]));
+    const result = saveConfig({ ...newConfig, apiUrls }, { ...change, note: newConfig.note || change.note });
     if (result.success) res.json({ message: result.message });
     else res.status(500).json({ error: result.error });
 });
 
+// Endpoint resources with optimistic concurrency (ETag / If-Match derived from updated_at)
+app.get('/config/endpoints', checkAdminAuth(), (req, res) => {
+    res.json({ baseTag: currentConfig.baseTag || '', protectedGroups: currentConfig.protectedGroups || [], promptTemplates: currentConfig.promptTemplates || [], endpoints: Object.keys(currentConfig.apiUrls).map(endpointResource) });
+});
+
+app.put('/config/settings', checkAdminAuth('editor'), (req, res) => {
+    const { baseTag = currentConfig.baseTag, protectedGroups = currentConfig.protectedGroups, promptTemplates = currentConfig.promptTemplates } = req.body || {};
+    if (typeof baseTag !== 'string') return res.status(400).json({ error: 'baseTag must be a string.' });
+    if (!Array.isArray(protectedGroups)) return res.status(400).json({ error: 'protectedGroups must be an array.' });
+    const templateProblem = validatePromptTemplates(promptTemplates);
+    if (templateProblem) return res.status(400).json({ error: templateProblem });
+    mutateEndpoints(() => writeSettings({ baseTag, protectedGroups, promptTemplates }), getChangeContext(req));
+    res.json({ baseTag: currentConfig.baseTag, protectedGroups: currentConfig.protectedGroups, promptTemplates: currentConfig.promptTemplates });
+});
+
+// Renders an unsaved template against the live endpoints; `{}` returns the built-in default for editing
+app.post('/config/prompt/preview', checkAdminAuth(), (req, res) => {
+    const { template } = req.body || {};
+    if (template === undefined) return res.json({ template: defaultPromptTemplate });
+    if (typeof template !== 'string') return res.status(400).json({ error: 'template must be a string.' });
+    const problem = validatePromptTemplate(template);
+    if (problem) return res.status(400).json({ error: problem });
+    res.json({ text: renderPromptTemplate(template, buildPromptView(`${req.protocol}://${req.get('host')}`)) });
+});
+
+app.post('/config/endpoints', checkAdminAuth('editor'), (req, res) => {
+    const { key: apiKey, etag, ...config } = req.body || {};
+    const invalid = validateEndpointInput(apiKey, config);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (currentConfig.apiUrls[apiKey]) return res.status(409).json({ error: `Endpoint /${apiKey} already exists.` });
+    const aggregateProblem = validateAggregates({ ...currentConfig.apiUrls, [apiKey]: config });
+    if (aggregateProblem) return res.status(400).json({ error: aggregateProblem });
+
+    try {
+        mutateEndpoints(() => writeEndpoint(apiKey, config), getChangeContext(req));
+    } catch (error) {
+        console.error('Error creating endpoint:', error);
+        return res.status(500).json({ error: error.message });
+    }
+    res.status(201).set('ETag', endpointEtag(apiKey)).json(endpointResource(apiKey));
+});
+
+app.get('/config/endpoints/:key', checkAdminAuth(), (req, res) => {
+    const apiKey = req.params.key;
+    if (!currentConfig.apiUrls[apiKey]) return res.status(404).json({ error: 'Endpoint not found.' });
+    res.set('ETag', endpointEtag(apiKey)).json(endpointResource(apiKey));
+});
+
+// The endpoint map as it would look after writing `config` under `newKey` (renames retarget aggregates too)
+function prospectiveApiUrls(apiKey, newKey, config) {
+    const retarget = entry => entry.method === 'aggregate' && newKey !== apiKey
+        ? { ...entry, aggregate: { ...entry.aggregate, targets: entry.aggregate.targets.map(t => t.key === apiKey ? { ...t, key: newKey } : t) } }
+        : entry;
+    const apiUrls = Object.fromEntries(Object.entries(currentConfig.apiUrls).filter(([key]) => key !== apiKey).map(([key, entry]) => [key, retarget(entry)]));
+    return { ...apiUrls, [newKey]: config };
+}
+
+function replaceEndpoint(req, res, buildConfig) {
+    const apiKey = req.params.key;
+    const existing = currentConfig.apiUrls[apiKey];
+    if (!existing && req.method === 'PATCH') return res.status(404).json({ error: 'Endpoint not found.' });
+    if (!checkPreconditions(req, res, apiKey)) return;
+
+    const { key: newKey = apiKey, etag, ...body } = req.body || {};
+    if (newKey !== apiKey && !existing) return res.status(404).json({ error: 'Endpoint not found.' });
+    if (newKey !== apiKey && currentConfig.apiUrls[newKey]) return res.status(409).json({ error: `Endpoint /${newKey} already exists.` });
+
+    const config = unmaskSecrets(buildConfig(existing, body), existing);
+    const invalid = validateEndpointInput(newKey, config);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const aggregateProblem = validateAggregates(prospectiveApiUrls(apiKey, newKey, config));
+    if (aggregateProblem) return res.status(400).json({ error: aggregateProblem });
+
+    try {
+        mutateEndpoints(() => {
+            if (newKey !== apiKey) renameEndpoint(apiKey, newKey);
+            if (newKey !== apiKey || endpointChanged(existing, config)) writeEndpoint(newKey, config);
+        }, getChangeContext(req));
+    } catch (error) {
+        console.error('Error updating endpoint:', error);
+        return res.status(500).json({ error: error.message });
+    }
+    res.status(existing ? 200 : 201).set('ETag', endpointEtag(newKey)).json(endpointResource(newKey));
+}
+
+app.put('/config/endpoints/:key', checkAdminAuth('editor'), (req, res) => replaceEndpoint(req, res, (existing, body) => body));
+
+// Nested settings objects are merged field by field; null clears the whole setting
+const patchMergedFields = ['proxySettings', 'rateLimit', 'availability', 'responseCache', 'dedup'];
+
+app.patch('/config/endpoints/:key', checkAdminAuth('editor'), (req, res) => replaceEndpoint(req, res, (existing, body) => ({
+    ...existing,
+    ...body,
+    ...Object.fromEntries(patchMergedFields.filter(field => field in body).map(field => {
+        const value = body[field];
+        if (value === null) return [field, undefined];
+        return [field, typeof value === 'object' && !Array.isArray(value) ? { ...existing[field], ...value } : value];
+    }))
+})));
+
+app.delete('/config/endpoints/:key', checkAdminAuth('editor'), (req, res) => {
+    const apiKey = req.params.key;
+    if (!currentConfig.apiUrls[apiKey]) return res.status(404).json({ error: 'Endpoint not found.' });
+    if (!checkPreconditions(req, res, apiKey)) return;
+    mutateEndpoints(() => deleteEndpoint(apiKey), getChangeContext(req));
+    res.status(204).end();
+});
+
+app.put('/config/endpoints/:key/params', checkAdminAuth('editor'), (req, res) => {
+    const apiKey = req.params.key;
+    const existing = currentConfig.apiUrls[apiKey];
+    if (!existing) return res.status(404).json({ error: 'Endpoint not found.' });
+    if (!checkPreconditions(req, res, apiKey)) return;
+
+    const queryParams = Array.isArray(req.body) ? req.body : req.body?.queryParams;
+    if (!Array.isArray(queryParams)) return res.status(400).json({ error: 'queryParams must be an array.' });
+    const invalid = validateEndpointInput(apiKey, { ...existing, queryParams });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    if (endpointChanged(existing, { ...existing, queryParams })) mutateEndpoints(() => writeEndpoint(apiKey, { ...existing, queryParams }), getChangeContext(req));
+    res.set('ETag', endpointEtag(apiKey)).json(endpointResource(apiKey));
+});
+
+// Consumer API keys
+app.get('/config/consumer-keys', checkAdminAuth('editor'), (req, res) => res.json({ keys: listConsumerKeys() }));
+
+app.post('/config/consumer-keys', checkAdminAuth('editor'), (req, res) => {
+    const invalid = validateConsumerKeyInput(req.body || {});
+    if (invalid) return res.status(400).json({ error: invalid });
+    const created = createConsumerKey(req.body);
+    recordAudit(getChangeContext(req), 'consumerKey.create', created.name, { allowedEndpoints: created.allowedEndpoints, expiresAt: created.expiresAt });
+    res.status(201).json(created);
+});
+
+app.patch('/config/consumer-keys/:id', checkAdminAuth('editor'), (req, res) => {
+    const row = getConsumerKey(toInt(req.params.id, 0));
+    if (!row) return res.status(404).json({ error: 'API key not found.' });
+    const { name, allowedEndpoints, expiresAt, enabled } = req.body || {};
+    const changes = { name, allowedEndpoints, expiresAt, enabled };
+    const invalid = validateConsumerKeyInput(changes, { partial: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+    updateConsumerKey(row.id, changes);
+    recordAudit(getChangeContext(req), 'consumerKey.update', row.name, changes);
+    res.json(consumerKeyResource(getConsumerKey(row.id)));
+});
+
+app.delete('/config/consumer-keys/:id', checkAdminAuth('editor'), (req, res) => {
+    const row = getConsumerKey(toInt(req.params.id, 0));
+    if (!row) return res.status(404).json({ error: 'API key not found.' });
+    db.prepare('DELETE FROM consumer_keys WHERE id = ?').run(row.id);
+    recordAudit(getChangeContext(req), 'consumerKey.delete', row.name);
+    res.status(204).end();
+});
+
+// Config revisions
+// Import / export. Secret header values are masked unless an owner asks for them explicitly.
+app.get('/config/export', checkAdminAuth(), (req, res) => {
+    const format = req.query.format === 'yaml' ? 'yaml' : 'json';
+    const groups = typeof req.query.groups === 'string' && req.query.groups ? req.query.groups.split(',').map(g => g.trim()).filter(Boolean) : null;
+    const includeSecrets = req.query.secrets === 'true';
+    if (includeSecrets && req.user.role !== 'owner') return res.status(403).json({ error: 'Only owners can export secret header values.' });
+
+    const data = buildExport({ groups, includeSecrets });
+    const fileName = `api-forwarder-config-${data.exportedAt.slice(0, 10)}.${format === 'yaml' ? 'yaml' : 'json'}`;
+    recordAudit(getChangeContext(req), 'config.export', null, { format, groups, includeSecrets, count: Object.keys(data.apiUrls).length });
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'yaml') return res.type('application/yaml').send(YAML.stringify(data));
+    res.type('application/json').send(JSON.stringify(data, null, 2));
+});
+
+app.post('/config/import', checkAdminAuth('editor'), (req, res) => {
+    const { content, mode = 'merge', dryRun = false } = req.body || {};
+    if (typeof content !== 'string' || !content.trim()) return res.status(400).json({ error: 'content must be a non-empty string.' });
+    if (!importModes.includes(mode)) return res.status(400).json({ error: `mode must be one of: ${importModes.join(', ')}.` });
+
+    const plan = planImport(content, mode);
+    const summary = plan.diff && { added: plan.diff.added, changed: plan.diff.changed.map(c => c.key), removed: plan.diff.removed };
+    if (plan.errors.length) return res.status(dryRun ? 200 : 400).json({ mode, dryRun, valid: false, errors: plan.errors, error: dryRun ? undefined : 'Import validation failed.' });
+    if (dryRun) return res.json({ mode, dryRun, valid: true, errors: [], summary, diff: maskDiffSecrets(plan.diff) });
+
+    const change = getChangeContext(req);
+    const result = saveConfig(plan.config, { ...change, note: change.note || `Imported configuration (${mode})` });
+    if (!result.success) return res.status(500).json({ error: result.error });
+    res.json({ mode, dryRun, valid: true, errors: [], summary, message: `Imported: ${summary.added.length} added, ${summary.changed.length} changed, ${summary.removed.length} removed.` });
+});
+
+app.get('/config/revisions', checkAdminAuth(), (req, res) => {
+    const limit = Math.min(toInt(req.query.limit, 50), 500);
+    const rows = db.prepare('SELECT id, created_at, author, note, summary FROM config_revisions ORDER BY id DESC LIMIT ?').all(limit);
+    res.json({ revisions: rows.map(r => ({ ...r, summary: r.summary ? JSON.parse(r.summary) : null })) });
+});
+
+app.get('/config/revisions/diff', checkAdminAuth(), (req, res) => {
+    const load = id => id === 'current' ? { data: currentConfig } : getRevision(toInt(id, 0));
+    const from = load(req.query.from);
+    const to = load(req.query.to || 'current');
+    if (!from || !to) return res.status(404).json({ error: 'Revision not found.' });
+    const diff = diffConfigs(from.data, to.data);
+    res.json({ from: req.query.from, to: req.query.to || 'current', diff: maskDiffSecrets(diff) });
+});
+
+app.get('/config/revisions/:id', checkAdminAuth(), (req, res) => {
+    const revision = getRevision(toInt(req.params.id, 0));
+    if (!revision) return res.status(404).json({ error: 'Revision not found.' });
+    res.json({ ...revision, data: maskConfigSecrets(revision.data) });
+});
+
+app.post('/config/revisions/:id/restore', checkAdminAuth('editor'), (req, res) => {
+    const revision = getRevision(toInt(req.params.id, 0));
+    if (!revision) return res.status(404).json({ error: 'Revision not found.' });
+    const invalid = validateFullConfig(revision.data);
+    if (invalid) return res.status(400).json({ error: `Revision #${revision.id} cannot be restored: ${invalid}` });
+    const result = saveConfig(revision.data, { ...getChangeContext(req), note: `Restored revision #${revision.id}` });
+    if (result.success) res.json({ message: `Revision #${revision.id} restored.` });
+    else res.status(500).json({ error: result.error });
+});
+
 // === Dynamic API Routes ===
-app.get('/:apiKey', async (req, res, next) => {
+app.get('/:apiKey', (req, res, next) => {
     const apiKey = req.params.apiKey;
 
     // Skip static files and system routes
-    if (apiKey.includes('.') || apiKey === 'favicon.ico' || ['config', 'admin', 'admin-login', 'admin-logout', 'api'].includes(apiKey)) return next();
+    if (apiKey.includes('.') || apiKey === 'favicon.ico' || reservedPaths.includes(apiKey)) return next();
 
     const configEntry = currentConfig.apiUrls?.[apiKey];
     if (!configEntry?.method) return next();
+    return handleEndpointRequest(apiKey, configEntry, req, res, next);
+});
 
+// Shared by the HTTP route and MCP tool calls, which pass a captured response
+function handleEndpointRequest(apiKey, configEntry, req, res, next) {
     console.log(`[Router] Handling /${apiKey}`);
+    logRequest(apiKey, configEntry, req, res);
 
-    // Special URL constructions
-    if (configEntry.urlConstruction === 'special_forward') {
-        const url = req.query.url;
-        const field = req.query.field || configEntry.proxySettings?.imageUrlFieldFromParamDefault || 'url';
-        if (!url) return res.status(400).json({ error: 'Missing url parameter' });
-        return handleProxyRequest(url, { ...configEntry.proxySettings, imageUrlField: field }, res);
+    const unavailable = getUnavailableReason(configEntry);
+    if (unavailable) {
+        const fallbackKey = configEntry.availability?.whenUnavailable === 'fallback' ? configEntry.availability.fallbackKey : null;
+        const fallback = fallbackKey && currentConfig.apiUrls[fallbackKey];
+        if (!fallback || getUnavailableReason(fallback)) return respondUnavailable(apiKey, configEntry, unavailable, res, next);
+        // The requested endpoint's key check and rate limit apply before the fallback runs its own
+        if (!checkConsumerKey(apiKey, configEntry, req, res)) return;
+        if (!checkRateLimit(apiKey, configEntry, req, res)) return;
+        console.log(`[Router] /${apiKey} ${unavailableDescriptions[unavailable]}, falling back to /${fallbackKey}`);
+        res.set('X-Resolved-Endpoint', fallbackKey);
+        res.locals.resolvedEntry = fallback;
+        return routeEndpoint(fallbackKey, fallback, req, res);
     }
+    return routeEndpoint(apiKey, configEntry, req, res);
+}
 
-    if (configEntry.urlConstruction === 'special_pollinations') {
-        const tags = req.query.tags;
-        if (!tags) return res.status(400).json({ error: 'Missing tags parameter' });
-        const promptUrl = `${configEntry.url}${encodeURIComponent(tags)}%2c${currentConfig.baseTag || ''}?&model=${configEntry.modelName}&nologo=true`;
-        return res.redirect(promptUrl);
+// Key checks and rate limits apply to the endpoint that was requested and, behind an aggregate or an
+// availability fallback, also to the endpoint that actually serves the request
+function routeEndpoint(apiKey, configEntry, req, res) {
+    if (!checkConsumerKey(apiKey, configEntry, req, res)) return;
+    if (!checkRateLimit(apiKey, configEntry, req, res)) return;
+    if (configEntry.method === 'aggregate') {
+        const resolved = resolveAggregate(apiKey, configEntry);
+        if (!resolved) return res.status(503).json({ error: `No endpoint available behind /${apiKey}` });
+        applyResponseHeaders(configEntry, res);
+        res.set('X-Resolved-Endpoint', resolved.key);
+        res.locals.resolvedEntry = resolved.entry;
+        if (!checkConsumerKey(resolved.key, resolved.entry, req, res)) return;
+        if (!checkRateLimit(resolved.key, resolved.entry, req, res)) return;
+        return serveEndpoint(resolved.key, resolved.entry, req, res);
     }
+    return serveEndpoint(apiKey, configEntry, req, res);
+}
 
-    if (configEntry.urlConstruction === 'special_draw_redirect') {
-        const tags = req.query.tags;
-        const model = req.query.model || configEntry.queryParams?.find(p => p.name === 'model')?.defaultValue || 'flux';
-        if (!tags) return res.status(400).json({ error: 'Missing tags parameter' });
-        return res.redirect(`/${model}?tags=${encodeURIComponent(tags)}`);
+function resolveAggregate(apiKey, configEntry) {
+    let key = apiKey;
+    let entry = configEntry;
+    for (let depth = 0; entry.method === 'aggregate'; depth++) {
+        // Cycles are rejected at save time; the depth cap only guards against configs edited behind our back
+        if (depth >= maxAggregateDepth) return null;
+        key = pickAggregateMember(key, entry);
+        entry = key && currentConfig.apiUrls[key];
+        if (!entry) return null;
+        console.log(`[Aggregate] /${apiKey} -> /${key}`);
     }
+    return { key, entry };
+}
 
-    // Generic handler
-    const validatedParams = {};
-    const errors = [];
+async function serveEndpoint(apiKey, configEntry, req, res) {
+    applyResponseHeaders(configEntry, res);
+    const upstream = { headers: buildRequestHeaders(configEntry), method: configEntry.upstreamMethod || 'GET' };
 
-    for (const param of (configEntry.queryParams || [])) {
-        const value = req.query[param.name];
-        if (value !== undefined) {
-            if (param.validValues && !param.validValues.includes(value)) {
-                errors.push(`Invalid value for '${param.name}'`);
-            } else {
-                validatedParams[param.name] = value;
-            }
-        } else if (param.required) {
-            errors.push(`Missing required parameter: ${param.name}`);
-        } else if (param.defaultValue !== undefined) {
-            validatedParams[param.name] = param.defaultValue;
+    // With imageUrlFieldFromParam the caller may override the extraction path via `?field=`
+    let proxySettings = configEntry.proxySettings;
+    if (proxySettings?.imageUrlFieldFromParam && typeof req.query.field === 'string' && req.query.field) {
+        // Callers may pick a path, but regexes stay admin-only
+        try {
+            if (compileExtraction(req.query.field).type !== 'path') throw new Error('Only path expressions are allowed in the field parameter');
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
         }
+        proxySettings = { ...proxySettings, imageUrlField: req.query.field };
     }
 
-    if (errors.length) return res.status(400).json({ error: 'Invalid parameters', details: errors });
+    const { params: validatedParams, pathNames, errors } = resolveParams(configEntry, req.query);
+    if (errors.length) {
+        return res.status(400).json({ error: 'Invalid parameters', details: errors.map(e => e.message), violations: errors.map(({ param, rule }) => ({ param, rule })) });
+    }
 
-    let targetUrl = configEntry.url;
-    if (!targetUrl) return res.status(500).json({ error: 'Configuration URL missing' });
+    if (configEntry.method === 'collection') return serveCollectionItem(apiKey, validatedParams, res);
+    if (!configEntry.url) return res.status(500).json({ error: 'Configuration URL missing' });
 
-    if (Object.keys(validatedParams).length) {
+    // Body requests carry the parameters in the body instead of the query string
+    const sendsBody = upstream.method !== 'GET';
+    if (sendsBody) {
         try {
-            const url = new URL(targetUrl);
-            Object.entries(validatedParams).forEach(([k, v]) => url.searchParams.append(k, v));
-            targetUrl = url.toString();
-        } catch {
-            targetUrl += (targetUrl.includes('?') ? '&' : '?') + new URLSearchParams(validatedParams).toString();
+            upstream.body = buildRequestBody(configEntry, validatedParams, pathNames);
+        } catch (error) {
+            console.error(`[Router] /${apiKey} has an invalid body template: ${error.message}`);
+            return res.status(502).json({ error: 'Invalid upstream body template' });
         }
     }
+    const targetUrls = orderUpstreams(apiKey, configEntry).map(u => resolveTargetUrl(u, validatedParams, !sendsBody, pathNames));
+    console.log(`[Router] Target: ${targetUrls[0]}${targetUrls.length > 1 ? ` (+${targetUrls.length - 1} fallback)` : ''}`);
 
-    console.log(`[Router] Target: ${targetUrl}`);
-
-    if (configEntry.method === 'proxy') return handleProxyRequest(targetUrl, configEntry.proxySettings, res);
-    return res.redirect(targetUrl);
-});
+    if (configEntry.method === 'proxy') return handleProxyRequest(targetUrls, proxySettings, res, upstream, configEntry.responseCache && { apiKey, ...configEntry.responseCache }, servedContext(apiKey, configEntry, req, res));
+    if (configEntry.method === 'cache') return handleCacheRequest(apiKey, targetUrls, proxySettings, res, upstream);
+    return res.redirect(targetUrls[0]);
+}
 
 // === Server Start ===
 (async () => {
@@ -344,8 +3544,26 @@ app.get('/:apiKey', async (req, res, next) => {
         console.log('Loading configuration...');
         loadConfig();
         console.log('Configuration loaded.');
+        // Stdio mode runs alongside the HTTP server on the same database, which owns the listener and background jobs
+        if (mcpStdio) return startMcpStdio();
+        ensureOwnerAccount();
+        if (!db.prepare('SELECT 1 FROM config_revisions LIMIT 1').get() && Object.keys(currentConfig.apiUrls).length) recordRevision({ author: 'system', note: 'Initial snapshot' });
+        startHealthChecks();
+        pruneMediaCache();
+        setInterval(pruneMediaCache, 60 * 60 * 1000);
+        pruneResponseCache();
+        setInterval(pruneResponseCache, 60 * 60 * 1000);
+        setInterval(pruneRateLimitBuckets, 5 * 60 * 1000);
+        pruneRequestLog();
+        setInterval(pruneRequestLog, 60 * 60 * 1000);
+        pruneSessions();
+        setInterval(pruneSessions, 60 * 60 * 1000);
 
-        app.listen(PORT, '0.0.0.0', () => {
+        app.listen(PORT, '0.0.0.0', error => {
+            if (error) {
+                console.error(`Failed to listen on port ${PORT}:`, error.message);
+                process.exit(1);
+            }
             console.log(`API Forwarder running on http://localhost:${PORT}`);
             console.log(`Admin interface at http://localhost:${PORT}/admin`);
         });
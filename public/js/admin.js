@@ -4,6 +4,11 @@ const apiConfigsContainer = document.getElementById('api-configs-container');
 const messageDiv = document.getElementById('message');
 let currentConfigData = { apiUrls: {} };
 let currentView = 'card';
+let currentHealth = {};
+let currentAvailability = {};
+let savedApiUrls = {};
+let endpointEtags = {};
+let renamedKeys = {};
 
 // === Utility Functions ===
 function showMessage(text, type = 'success') {
@@ -13,12 +18,400 @@ function showMessage(text, type = 'success') {
     setTimeout(() => messageDiv.style.display = 'none', 7000);
 }
 
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).filter(k => value[k] !== undefined).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
 function sanitizeApiKey(key) {
     // 只过滤 URL 路径不安全的字符，保留：中文、英文、数字、连字符、下划线
     // 不安全字符包括：空格、/、?、#、&、=、%、@、:、;、+、!、*、'、(、)、,、[、]
     return key.replace(/[\s\/\?#&=%@:;+!*'(),\[\]<>{}|\\^`"]/g, '').trim();
 }
 
+// === Health Badges ===
+function healthBadgeHtml(apiKey) {
+    const health = currentHealth[apiKey];
+    if (!health) return '<span class="badge bg-secondary" title="尚未检测">未检测</span>';
+    const details = [`检测时间: ${health.lastChecked}`, `最后成功: ${health.lastSuccess || '从未'}`, health.statusCode ? `状态码: ${health.statusCode}` : '', health.error || ''].filter(Boolean).join('\n');
+    return health.status === 'up'
+        ? `<span class="badge bg-success" title="${escapeHtml(details)}">正常 ${health.latencyMs}ms</span>`
+        : `<span class="badge bg-danger" title="${escapeHtml(details)}">异常</span>`;
+}
+
+function updateHealthBadges() {
+    document.querySelectorAll('.health-badge[data-api-key]').forEach(el => el.innerHTML = healthBadgeHtml(el.getAttribute('data-api-key')));
+}
+
+async function loadHealth() {
+    try {
+        const response = await fetch('/config/health', { credentials: 'same-origin' });
+        if (response.ok) currentHealth = await response.json();
+    } catch (error) {
+        console.error('加载健康状态失败:', error);
+    }
+    updateHealthBadges();
+}
+
+async function runHealthCheck() {
+    const btn = document.getElementById('health-check-button');
+    btn.disabled = true;
+    btn.innerHTML = '<span class="spinner-border spinner-border-sm"></span> 检测中...';
+    try {
+        const response = await fetch('/config/health/check', { method: 'POST', credentials: 'same-origin' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        currentHealth = result;
+        updateHealthBadges();
+        const down = Object.values(result).filter(h => h.status === 'down').length;
+        showMessage(down ? `检测完成，${down} 个端点异常。` : '检测完成，所有端点正常。', down ? 'error' : 'success');
+    } catch (error) {
+        showMessage('检测失败: ' + error.message, 'error');
+    } finally {
+        btn.disabled = false;
+        btn.innerHTML = '<i class="bi bi-heart-pulse"></i> 检测上游';
+    }
+}
+
+// === Availability ===
+const unavailableLabels = { disabled: ['已停用', 'secondary'], expired: ['已过期', 'dark'], outside_schedule: ['不在开放时段', 'warning text-dark'] };
+
+function availabilityBadgeHtml(apiKey) {
+    const reason = currentAvailability[apiKey];
+    if (!reason) return '';
+    const [label, color] = unavailableLabels[reason];
+    return `<span class="badge bg-${color}">${label}</span>`;
+}
+
+async function loadAvailability() {
+    try {
+        const result = await fetchJson('/config/availability');
+        currentAvailability = result.endpoints;
+        document.querySelectorAll('.availability-timezone').forEach(el => el.textContent = result.timeZone);
+    } catch (error) {
+        console.error('加载端点可用状态失败:', error);
+    }
+    document.querySelectorAll('.availability-badge[data-api-key]').forEach(el => el.innerHTML = availabilityBadgeHtml(el.getAttribute('data-api-key')));
+}
+
+// datetime-local inputs work in the browser's local time without a zone suffix
+function toLocalDateTimeInput(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function toggleUnavailableOptions(select) {
+    const card = select.closest('.card');
+    card.querySelector('.unavailable-message').style.display = select.value === 'unavailable' ? '' : 'none';
+    card.querySelector('.unavailable-fallback').style.display = select.value === 'fallback' ? '' : 'none';
+}
+
+function collectAvailability(card, original) {
+    const windows = card.querySelector(`#${original}-availableWindows`).value.split(/[,，\s]+/).filter(Boolean).map(range => {
+        const [start, end = ''] = range.split('-');
+        return { start, end };
+    });
+    const expires = card.querySelector(`#${original}-expiresAt`).value;
+    const whenUnavailable = card.querySelector(`#${original}-whenUnavailable`).value;
+    const availability = {
+        windows: windows.length ? windows : undefined,
+        expiresAt: expires ? new Date(expires).toISOString() : undefined,
+        whenUnavailable: whenUnavailable !== 'not_found' ? whenUnavailable : undefined,
+        message: whenUnavailable === 'unavailable' ? card.querySelector(`#${original}-unavailableMessage`).value.trim() || undefined : undefined,
+        fallbackKey: whenUnavailable === 'fallback' ? card.querySelector(`#${original}-fallbackKey`).value : undefined
+    };
+    return Object.values(availability).some(v => v !== undefined) ? availability : undefined;
+}
+
+// === Media Cache ===
+let currentMediaCache = {};
+
+function mediaCacheInfoText(apiKey) {
+    const stats = currentMediaCache[apiKey];
+    return stats ? `${stats.count} 个文件，${(stats.size / 1024 / 1024).toFixed(1)} MB` : '空';
+}
+
+async function loadMediaCacheStats() {
+    try {
+        const response = await fetch('/config/media-cache', { credentials: 'same-origin' });
+        if (response.ok) currentMediaCache = await response.json();
+    } catch (error) {
+        console.error('加载缓存池信息失败:', error);
+    }
+    document.querySelectorAll('.media-cache-info[data-api-key]').forEach(el => el.textContent = mediaCacheInfoText(el.getAttribute('data-api-key')));
+}
+
+async function purgeMediaCache(apiKey) {
+    if (!confirm(`确定清空 /${apiKey} 的缓存池吗？`)) return;
+    try {
+        const response = await fetch(`/config/media-cache?key=${encodeURIComponent(apiKey)}`, { method: 'DELETE', credentials: 'same-origin' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        showMessage(`已清除 ${result.removed} 个缓存文件。`, 'success');
+        await loadMediaCacheStats();
+    } catch (error) {
+        showMessage('清空缓存失败: ' + error.message, 'error');
+    }
+}
+
+// === Response Cache ===
+let currentResponseCache = {};
+let responseCacheModal;
+let responseCacheKey = null;
+
+function responseCacheInfoText(apiKey) {
+    const stats = currentResponseCache[apiKey];
+    return stats ? `已缓存 ${stats.count} 个响应，${(stats.size / 1024).toFixed(1)} KB` : '暂无缓存';
+}
+
+async function loadResponseCacheStats() {
+    try {
+        currentResponseCache = await fetchJson('/config/response-cache');
+    } catch (error) {
+        console.error('加载响应缓存信息失败:', error);
+    }
+    document.querySelectorAll('.response-cache-info[data-api-key]').forEach(el => el.textContent = responseCacheInfoText(el.getAttribute('data-api-key')));
+}
+
+function openResponseCache(apiKey) {
+    responseCacheKey = apiKey;
+    responseCacheModal = responseCacheModal || new bootstrap.Modal(document.getElementById('response-cache-modal'));
+    document.getElementById('response-cache-title').textContent = `/${apiKey}`;
+    responseCacheModal.show();
+    loadResponseCacheEntries();
+}
+
+async function loadResponseCacheEntries() {
+    const list = document.getElementById('response-cache-entries');
+    const stateLabels = { fresh: ['有效', 'success'], stale: ['过期待刷新', 'warning'], expired: ['已过期', 'secondary'] };
+    try {
+        const entries = await fetchJson(`/config/response-cache/${encodeURIComponent(responseCacheKey)}`);
+        list.innerHTML = entries.map(entry => {
+            const [label, color] = stateLabels[entry.state];
+            return `<tr data-entry="${escapeHtml(entry.key)}">
+                <td class="font-monospace small text-break">${escapeHtml(entry.key)}</td>
+                <td><span class="badge bg-${color}">${label}</span> <small class="text-muted">${entry.store === 'sqlite' ? 'SQLite' : '内存'}</small></td>
+                <td class="small">${new Date(entry.storedAt).toLocaleString()}<br><span class="text-muted">至 ${new Date(entry.expiresAt).toLocaleString()}</span></td>
+                <td class="small">${(entry.size / 1024).toFixed(1)} KB</td>
+                <td><button type="button" class="btn btn-outline-danger btn-sm editor-only" onclick="purgeResponseCacheEntry(this.closest('tr').dataset.entry)" title="删除"><i class="bi bi-trash"></i></button></td>
+            </tr>`;
+        }).join('') || '<tr><td colspan="5" class="text-center text-muted">暂无缓存</td></tr>';
+    } catch (error) {
+        list.innerHTML = `<tr><td colspan="5" class="text-danger">${escapeHtml(error.message)}</td></tr>`;
+    }
+}
+
+async function purgeResponseCache(apiKey) {
+    if (!confirm(`确定清空 /${apiKey} 的响应缓存吗？`)) return;
+    try {
+        const result = await fetchJson(`/config/response-cache?key=${encodeURIComponent(apiKey)}`, { method: 'DELETE' });
+        showMessage(`已清除 ${result.removed} 个缓存响应。`, 'success');
+        await loadResponseCacheStats();
+    } catch (error) {
+        showMessage('清空响应缓存失败: ' + error.message, 'error');
+    }
+}
+
+async function purgeResponseCacheEntry(entry) {
+    try {
+        await fetchJson(`/config/response-cache?key=${encodeURIComponent(responseCacheKey)}&entry=${encodeURIComponent(entry)}`, { method: 'DELETE' });
+        await loadResponseCacheEntries();
+        loadResponseCacheStats();
+    } catch (error) {
+        showMessage('删除缓存失败: ' + error.message, 'error');
+    }
+}
+
+// === Recently Served ===
+let servedModal;
+let servedKey = null;
+
+function openServedGallery(apiKey) {
+    servedKey = apiKey;
+    servedModal = servedModal || new bootstrap.Modal(document.getElementById('served-modal'));
+    document.getElementById('served-title').textContent = `/${apiKey}`;
+    servedModal.show();
+    loadServedGallery();
+}
+
+function renderServedItem(item) {
+    const preview = !item.url
+        ? '<div class="text-muted small p-3">内联图片</div>'
+        : item.contentType?.startsWith('video/')
+            ? `<video src="${escapeHtml(item.url)}" muted loop playsinline onmouseenter="this.play()" onmouseleave="this.pause()"></video>`
+            : `<img src="${escapeHtml(item.url)}" alt="" loading="lazy" referrerpolicy="no-referrer">`;
+    return `<div class="col"><div class="card h-100">
+        ${item.url ? `<a href="${escapeHtml(item.url)}" target="_blank" rel="noopener" class="collection-preview">${preview}</a>` : preview}
+        <div class="card-body p-2 small">
+            <div class="text-muted">${new Date(item.servedAt).toLocaleString()}</div>
+            ${item.retries ? `<span class="badge bg-info text-dark">重试 ${item.retries} 次</span>` : ''}
+            ${item.repeated ? '<span class="badge bg-warning text-dark">重复</span>' : ''}
+        </div>
+    </div></div>`;
+}
+
+async function loadServedGallery() {
+    const list = document.getElementById('served-items');
+    try {
+        const { clients, items } = await fetchJson(`/config/served/${encodeURIComponent(servedKey)}`);
+        document.getElementById('served-count').textContent = `显示最近 ${items.length} 次返回${clients ? `，正在跟踪 ${clients} 个去重记录` : ''}`;
+        list.innerHTML = items.map(renderServedItem).join('') || '<div class="col-12 text-center text-muted py-3">暂无记录</div>';
+    } catch (error) {
+        list.innerHTML = `<div class="col-12 text-danger">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+async function clearServedGallery() {
+    if (!confirm(`确定清空 /${servedKey} 的返回记录吗？去重将从头开始。`)) return;
+    try {
+        await fetchJson(`/config/served/${encodeURIComponent(servedKey)}`, { method: 'DELETE' });
+        await loadServedGallery();
+    } catch (error) {
+        showMessage('清空记录失败: ' + error.message, 'error');
+    }
+}
+
+// === Local Collections ===
+let currentCollections = {};
+let collectionModal;
+let collectionKey = null;
+
+function collectionInfoText(apiKey) {
+    const stats = currentCollections[apiKey];
+    return stats ? `${stats.count} 个文件，${(stats.size / 1024 / 1024).toFixed(1)} MB` : '空';
+}
+
+async function loadCollectionStats() {
+    try {
+        currentCollections = await fetchJson('/config/collections');
+    } catch (error) {
+        console.error('加载图库信息失败:', error);
+    }
+    document.querySelectorAll('.collection-info[data-api-key]').forEach(el => el.textContent = collectionInfoText(el.getAttribute('data-api-key')));
+}
+
+function collectionUrl(suffix = '') {
+    return `/config/collections/${encodeURIComponent(collectionKey)}${suffix}`;
+}
+
+function openCollection(apiKey) {
+    // Files belong to a saved endpoint, so an unsaved or renamed card has nothing to upload into yet
+    if (savedApiUrls[apiKey]?.method !== 'collection') return showMessage('请先将处理方式设为"本地图库"并保存配置，再管理文件。', 'error');
+    collectionKey = apiKey;
+    collectionModal = collectionModal || new bootstrap.Modal(document.getElementById('collection-modal'));
+    document.getElementById('collection-title').textContent = `/${apiKey}`;
+    document.getElementById('collection-result').innerHTML = '';
+    document.getElementById('collection-filter').value = '';
+    collectionModal.show();
+    loadCollectionItems();
+}
+
+function renderCollectionItem(item) {
+    const fileUrl = collectionUrl(`/items/${item.id}/file`);
+    const preview = item.contentType.startsWith('video/')
+        ? `<video src="${escapeHtml(fileUrl)}" muted loop playsinline onmouseenter="this.play()" onmouseleave="this.pause()"></video>`
+        : `<img src="${escapeHtml(fileUrl)}" alt="" loading="lazy">`;
+    return `<div class="col"><div class="card h-100 collection-item" data-id="${item.id}">
+        <a href="${escapeHtml(fileUrl)}" target="_blank" class="collection-preview">${preview}</a>
+        <div class="card-body p-2">
+            <div class="small text-muted text-truncate" title="${escapeHtml(item.originalName || item.sourceUrl || '')}">#${item.id} ${escapeHtml(item.originalName || '')}</div>
+            <div class="small text-muted">${(item.size / 1024).toFixed(0)} KB · ${escapeHtml(item.contentType)}</div>
+            <div class="input-group input-group-sm mt-1">
+                <input type="text" class="form-control collection-item-tags" value="${escapeHtml(item.tags.join(','))}" placeholder="标签">
+                <button type="button" class="btn btn-outline-secondary editor-only" onclick="saveCollectionItemTags(this)" title="保存标签"><i class="bi bi-check-lg"></i></button>
+                <button type="button" class="btn btn-outline-danger editor-only" onclick="removeCollectionItem(this)" title="删除"><i class="bi bi-trash"></i></button>
+            </div>
+        </div>
+    </div></div>`;
+}
+
+async function loadCollectionItems() {
+    const list = document.getElementById('collection-items');
+    try {
+        const tags = document.getElementById('collection-filter').value.trim();
+        const { total, items } = await fetchJson(collectionUrl(`/items?limit=200&tags=${encodeURIComponent(tags)}`));
+        document.getElementById('collection-count').textContent = items.length < total ? `共 ${total} 个，显示最新 ${items.length} 个` : `共 ${total} 个`;
+        list.innerHTML = items.map(renderCollectionItem).join('') || '<div class="col-12 text-center text-muted py-3">暂无文件</div>';
+    } catch (error) {
+        list.innerHTML = `<div class="col-12 text-danger">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function showCollectionResult(summary, failures) {
+    document.getElementById('collection-result').innerHTML = `<div class="alert alert-${failures.length ? 'warning' : 'success'} py-2">${escapeHtml(summary)}${failures.length ? `<ul class="mb-0 small">${failures.map(f => `<li><code>${escapeHtml(f.name)}</code> ${escapeHtml(f.error)}</li>`).join('')}</ul>` : ''}</div>`;
+}
+
+async function refreshCollection() {
+    await loadCollectionItems();
+    loadCollectionStats();
+}
+
+async function uploadCollectionFiles() {
+    const input = document.getElementById('collection-files');
+    if (!input.files.length) return showCollectionResult('请选择要上传的文件。', []);
+    const tags = document.getElementById('collection-tags').value.trim();
+    let added = 0, duplicates = 0;
+    const failures = [];
+    // One request per file keeps each upload within the server's size limit
+    for (const file of input.files) {
+        try {
+            const result = await fetchJson(collectionUrl(`/items?tags=${encodeURIComponent(tags)}&name=${encodeURIComponent(file.name)}`), {
+                method: 'POST', body: file, headers: { 'Content-Type': file.type || 'application/octet-stream' }
+            });
+            result.duplicate ? duplicates++ : added++;
+        } catch (error) {
+            failures.push({ name: file.name, error: error.message });
+        }
+    }
+    input.value = '';
+    showCollectionResult(`上传完成：新增 ${added} 个，重复 ${duplicates} 个，失败 ${failures.length} 个。`, failures);
+    await refreshCollection();
+}
+
+async function importCollectionUrls() {
+    const urls = document.getElementById('collection-urls').value.split('\n').map(u => u.trim()).filter(Boolean);
+    if (!urls.length) return showCollectionResult('请填写要导入的链接，每行一个。', []);
+    const button = document.getElementById('collection-import-button');
+    button.disabled = true;
+    try {
+        const result = await fetchJson(collectionUrl('/import'), { method: 'POST', body: JSON.stringify({ urls, tags: document.getElementById('collection-tags').value.trim() }) });
+        showCollectionResult(`导入完成：新增 ${result.added.length} 个，重复 ${result.duplicates.length} 个，失败 ${result.failed.length} 个。`, result.failed.map(f => ({ name: f.url, error: f.error })));
+        if (!result.failed.length) document.getElementById('collection-urls').value = '';
+        await refreshCollection();
+    } catch (error) {
+        showCollectionResult(`导入失败: ${error.message}`, []);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function saveCollectionItemTags(button) {
+    const item = button.closest('.collection-item');
+    try {
+        const result = await fetchJson(collectionUrl(`/items/${item.dataset.id}`), { method: 'PATCH', body: JSON.stringify({ tags: item.querySelector('.collection-item-tags').value }) });
+        item.querySelector('.collection-item-tags').value = result.tags.join(',');
+        showCollectionResult(`文件 #${result.id} 的标签已保存。`, []);
+    } catch (error) {
+        showCollectionResult(`保存失败: ${error.message}`, []);
+    }
+}
+
+async function removeCollectionItem(button) {
+    const item = button.closest('.collection-item');
+    if (!confirm(`确定删除文件 #${item.dataset.id} 吗？此操作不可恢复。`)) return;
+    try {
+        await fetchJson(collectionUrl(`/items/${item.dataset.id}`), { method: 'DELETE' });
+        item.closest('.col').remove();
+        loadCollectionStats();
+    } catch (error) {
+        showCollectionResult(`删除失败: ${error.message}`, []);
+    }
+}
+
 // === View Switching ===
 function switchView(view) {
     currentView = view;
@@ -52,14 +445,14 @@ function renderTableView() {
         groupedEndpoints[groupName].sort((a, b) => a.key.localeCompare(b.key));
         const groupRow = document.createElement('tr');
         groupRow.className = 'group-row';
-        groupRow.innerHTML = `<td colspan="8" style="background:var(--v0-secondary);font-weight:600;padding:0.5rem 1rem;"><i class="bi bi-folder"></i> ${groupName} (${groupedEndpoints[groupName].length})</td>`;
+        groupRow.innerHTML = `<td colspan="9" style="background:var(--v0-secondary);font-weight:600;padding:0.5rem 1rem;"><i class="bi bi-folder"></i> ${escapeHtml(groupName)} (${groupedEndpoints[groupName].length})</td>`;
         tbody.appendChild(groupRow);
 
         groupedEndpoints[groupName].forEach(item => tbody.appendChild(createTableRow(item.key, item.config)));
     });
 
     if (Object.keys(apiUrls).length === 0) {
-        tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted py-4">暂无 API 端点</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="9" class="text-center text-muted py-4">暂无 API 端点</td></tr>';
     }
 }
 
@@ -68,11 +461,11 @@ function createTableRow(apiKey, config) {
     row.setAttribute('data-api-key', apiKey);
 
     row.innerHTML = `
-        <td><input type="checkbox" class="form-check-input table-row-checkbox" value="${apiKey}" onchange="updateTableSelectState()"></td>
-        <td><span class="editable-cell" contenteditable="true" data-field="key" data-original="${apiKey}">${apiKey}</span></td>
-        <td><span class="editable-cell" contenteditable="true" data-field="group">${config.group || '默认分组'}</span></td>
-        <td><span class="editable-cell" contenteditable="true" data-field="description">${config.description || ''}</span></td>
-        <td class="url-cell" title="${config.url || ''}"><span class="editable-cell" contenteditable="true" data-field="url">${config.url || ''}</span></td>
+        <td><input type="checkbox" class="form-check-input table-row-checkbox" value="${escapeHtml(apiKey)}" onchange="updateTableSelectState()"></td>
+        <td><span class="editable-cell" contenteditable="true" data-field="key" data-original="${escapeHtml(apiKey)}">${escapeHtml(apiKey)}</span></td>
+        <td><span class="editable-cell" contenteditable="true" data-field="group">${escapeHtml(config.group || '默认分组')}</span></td>
+        <td><span class="editable-cell" contenteditable="true" data-field="description">${escapeHtml(config.description || '')}</span></td>
+        <td class="url-cell" title="${escapeHtml(config.url || '')}"><span class="editable-cell" contenteditable="true" data-field="url">${escapeHtml(config.url || '')}</span></td>
         <td><select class="form-select form-select-sm" data-field="type" onchange="markRowChanged(this)">
             <option value="image" ${config.type !== 'video' ? 'selected' : ''}>图片</option>
             <option value="video" ${config.type === 'video' ? 'selected' : ''}>视频</option>
@@ -80,9 +473,13 @@ function createTableRow(apiKey, config) {
         <td><select class="form-select form-select-sm" data-field="method" onchange="markRowChanged(this)">
             <option value="redirect" ${config.method === 'redirect' ? 'selected' : ''}>重定向</option>
             <option value="proxy" ${config.method === 'proxy' ? 'selected' : ''}>代理</option>
+            <option value="cache" ${config.method === 'cache' ? 'selected' : ''}>缓存</option>
+            <option value="aggregate" ${config.method === 'aggregate' ? 'selected' : ''}>聚合</option>
+            <option value="collection" ${config.method === 'collection' ? 'selected' : ''}>图库</option>
         </select></td>
+        <td><span class="health-badge" data-api-key="${escapeHtml(apiKey)}">${healthBadgeHtml(apiKey)}</span> <span class="availability-badge" data-api-key="${escapeHtml(apiKey)}">${availabilityBadgeHtml(apiKey)}</span></td>
         <td class="text-center">
-            <button type="button" class="btn btn-outline-primary btn-sm me-1" onclick="editInCardView('${apiKey}')" title="详细编辑"><i class="bi bi-pencil"></i></button>
+            <button type="button" class="btn btn-outline-primary btn-sm me-1" onclick="editInCardView(this.closest('tr').dataset.apiKey)" title="详细编辑"><i class="bi bi-pencil"></i></button>
             <button type="button" class="btn btn-outline-danger btn-sm" onclick="deleteTableRow(this)" title="删除"><i class="bi bi-trash"></i></button>
         </td>`;
 
@@ -106,6 +503,8 @@ function syncTableCellToConfig(cell) {
         if (sanitizedKey && sanitizedKey !== originalKey && currentConfigData.apiUrls[originalKey]) {
             currentConfigData.apiUrls[sanitizedKey] = currentConfigData.apiUrls[originalKey];
             delete currentConfigData.apiUrls[originalKey];
+            renamedKeys[sanitizedKey] = renamedKeys[originalKey] ?? originalKey;
+            delete renamedKeys[originalKey];
             row.setAttribute('data-api-key', sanitizedKey);
             row.querySelector('.table-row-checkbox').value = sanitizedKey;
         }
@@ -124,7 +523,7 @@ function markRowChanged(element) {
 
 function addTableRow() {
     const newKey = 'new_' + Date.now();
-    currentConfigData.apiUrls[newKey] = { group: '默认分组', description: '', url: '', type: 'image', method: 'redirect', queryParams: [], proxySettings: {} };
+    currentConfigData.apiUrls[newKey] = { group: '默认分组', description: '', url: '', type: 'image', method: 'redirect', upstreamStrategy: 'priority', upstreams: [], queryParams: [], proxySettings: {} };
     const tbody = document.getElementById('api-table-body');
     const row = createTableRow(newKey, currentConfigData.apiUrls[newKey]);
     row.style.backgroundColor = '#fffce6';
@@ -145,7 +544,7 @@ function deleteTableRow(button) {
 function editInCardView(apiKey) {
     switchView('card');
     setTimeout(() => {
-        const card = document.querySelector(`.card[data-api-key="${apiKey}"]`);
+        const card = document.querySelector(`.card[data-api-key="${CSS.escape(apiKey)}"]`);
         if (card) {
             card.scrollIntoView({ behavior: 'smooth', block: 'center' });
             card.style.boxShadow = '0 0 0 3px var(--v0-primary)';
@@ -179,6 +578,7 @@ function renderConfig() {
     const apiUrls = currentConfigData.apiUrls || {};
     const groupedEndpoints = {};
     const allGroups = new Set(['默认分组']);
+    document.getElementById('endpoint-keys').innerHTML = Object.keys(apiUrls).sort().map(key => `<option value="${escapeHtml(key)}">`).join('');
 
     for (const apiKey in apiUrls) {
         const group = apiUrls[apiKey].group || '默认分组';
@@ -205,7 +605,7 @@ function renderConfig() {
 
             const title = document.createElement('h2');
             title.className = 'group-title d-flex align-items-center';
-            title.innerHTML = `<input type="checkbox" class="form-check-input me-2 group-select-all-checkbox" onchange="toggleSelectGroup(this, '${groupName}')"> ${groupName}`;
+            title.innerHTML = `<input type="checkbox" class="form-check-input me-2 group-select-all-checkbox" data-group="${escapeHtml(groupName)}" onchange="toggleSelectGroup(this, this.dataset.group)"> ${escapeHtml(groupName)} ${groupLockButtonHtml(groupName)}`;
             container.appendChild(title);
 
             groupedEndpoints[groupName].sort((a, b) => a.key.localeCompare(b.key));
@@ -220,32 +620,203 @@ function renderApiEndpoint(apiKey, config) {
     const card = document.createElement('div');
     card.className = 'card';
     card.setAttribute('data-api-key', apiKey);
+    const id = escapeHtml(apiKey);
 
     card.innerHTML = `
         <div class="card-header">
             <div class="d-flex align-items-center">
-                <input class="form-check-input me-2 endpoint-checkbox" type="checkbox" value="${apiKey}" onchange="handleCheckboxChange()">
-                <span>端点: /<input type="text" value="${apiKey}" class="api-key-input" placeholder="路径名" required></span>
+                <input class="form-check-input me-2 endpoint-checkbox" type="checkbox" value="${id}" onchange="handleCheckboxChange()">
+                <span>端点: /<input type="text" value="${id}" class="api-key-input" placeholder="路径名" required></span>
+                <span class="health-badge ms-2" data-api-key="${id}">${healthBadgeHtml(apiKey)}</span>
+                <span class="availability-badge ms-1" data-api-key="${id}">${availabilityBadgeHtml(apiKey)}</span>
             </div>
             <button type="button" class="btn btn-danger btn-sm" onclick="removeApiEndpoint(this.closest('.card'))"><i class="bi bi-trash"></i> 删除</button>
         </div>
         <div class="card-body">
-            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">分组:</label><div class="col-sm-9"><input type="text" class="form-control" id="${apiKey}-group" value="${config.group || ''}" placeholder="例如: AI绘图"></div></div>
-            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">类型:</label><div class="col-sm-9"><select class="form-select" id="${apiKey}-type"><option value="image" ${config.type !== 'video' ? 'selected' : ''}>图片</option><option value="video" ${config.type === 'video' ? 'selected' : ''}>视频</option></select></div></div>
-            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">描述:</label><div class="col-sm-9"><textarea class="form-control" id="${apiKey}-description" placeholder="API 用途说明">${config.description || ''}</textarea></div></div>
-            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">目标 URL:</label><div class="col-sm-9"><input type="url" class="form-control" id="${apiKey}-url" value="${config.url || ''}" placeholder="https://api.example.com" required></div></div>
-            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">处理方式:</label><div class="col-sm-9"><select class="form-select" id="${apiKey}-method" onchange="toggleProxySettings(this, '${apiKey}')"><option value="redirect" ${config.method !== 'proxy' ? 'selected' : ''}>重定向 (302)</option><option value="proxy" ${config.method === 'proxy' ? 'selected' : ''}>代理请求</option></select></div></div>
+            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">分组:</label><div class="col-sm-9"><input type="text" class="form-control" id="${id}-group" value="${escapeHtml(config.group || '')}" placeholder="例如: AI绘图"></div></div>
+            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">类型:</label><div class="col-sm-9"><select class="form-select" id="${id}-type"><option value="image" ${config.type !== 'video' ? 'selected' : ''}>图片</option><option value="video" ${config.type === 'video' ? 'selected' : ''}>视频</option></select></div></div>
+            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">描述:</label><div class="col-sm-9"><textarea class="form-control" id="${id}-description" placeholder="API 用途说明">${escapeHtml(config.description || '')}</textarea></div></div>
+            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">目标 URL:</label><div class="col-sm-9"><input type="text" class="form-control" id="${id}-url" value="${escapeHtml(config.url || '')}" placeholder="https://api.example.com" ${['aggregate', 'collection'].includes(config.method) ? '' : 'required'}>
+                <div class="form-text">支持模板: <code>{{参数}}</code> 编码插入、<code>{{参数:raw}}</code> 原样插入、<code>{{参数|默认值}}</code>、<code>{{$baseTag}}</code>、<code>{{#参数}}…{{/参数}}</code> 条件片段。模板中用到的参数不会再追加到查询字符串。</div></div></div>
+            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">备用上游:</label><div class="col-sm-9">
+                <div class="input-group input-group-sm mb-2">
+                    <span class="input-group-text">主上游 权重</span>
+                    <input type="number" class="form-control" id="${id}-urlWeight" value="${escapeHtml(config.urlWeight ?? 1)}" min="0">
+                    <span class="input-group-text">优先级</span>
+                    <input type="number" class="form-control" id="${id}-urlPriority" value="${escapeHtml(config.urlPriority ?? 0)}">
+                </div>
+                <div id="${id}-upstreams-list"></div>
+                <div class="d-flex align-items-center gap-2">
+                    <button type="button" class="btn btn-outline-secondary btn-sm" onclick="addUpstream(this.closest('.card').dataset.apiKey)"><i class="bi bi-plus-circle"></i> 添加上游</button>
+                    <select class="form-select form-select-sm w-auto" id="${id}-upstreamStrategy" title="多个上游时的选择策略">
+                        <option value="priority" ${!['roundRobin', 'weighted'].includes(config.upstreamStrategy) ? 'selected' : ''}>按优先级 (故障转移)</option>
+                        <option value="roundRobin" ${config.upstreamStrategy === 'roundRobin' ? 'selected' : ''}>轮询</option>
+                        <option value="weighted" ${config.upstreamStrategy === 'weighted' ? 'selected' : ''}>加权随机</option>
+                    </select>
+                </div>
+                <div class="form-text">目标 URL 为主上游，优先级数字越小越先使用。代理模式下上游返回 5xx 或超时会自动切换到下一个。</div>
+            </div></div>
+            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">处理方式:</label><div class="col-sm-9"><select class="form-select" id="${id}-method" onchange="toggleProxySettings(this, this.closest('.card').dataset.apiKey)"><option value="redirect" ${!['proxy', 'cache', 'aggregate', 'collection'].includes(config.method) ? 'selected' : ''}>重定向 (302)</option><option value="proxy" ${config.method === 'proxy' ? 'selected' : ''}>代理请求</option><option value="cache" ${config.method === 'cache' ? 'selected' : ''}>缓存代理 (下载并转发)</option><option value="aggregate" ${config.method === 'aggregate' ? 'selected' : ''}>聚合 (转到其他端点)</option><option value="collection" ${config.method === 'collection' ? 'selected' : ''}>本地图库 (上传的图片/视频)</option></select></div></div>
+
+            <div class="collection-settings" id="${id}-collection-settings" style="display:${config.method === 'collection' ? 'block' : 'none'}">
+                <h5>本地图库</h5>
+                <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">文件:</label><div class="col-sm-9">
+                    <div class="d-flex align-items-center gap-2">
+                        <span class="collection-info text-muted" data-api-key="${id}">${collectionInfoText(apiKey)}</span>
+                        <button type="button" class="btn btn-outline-primary btn-sm" onclick="openCollection(this.closest('.card').dataset.apiKey)"><i class="bi bi-images"></i> 管理文件</button>
+                    </div>
+                    <div class="form-text">每次请求随机返回一个文件，不需要目标 URL。查询参数的值作为标签筛选 (多个标签用逗号分隔，须全部匹配)，参数校验与其他端点相同。</div>
+                </div></div>
+            </div>
+
+            <div class="aggregate-settings" id="${id}-aggregate-settings" style="display:${config.method === 'aggregate' ? 'block' : 'none'}">
+                <h5>聚合设置</h5>
+                <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">选择方式:</label><div class="col-sm-9"><select class="form-select" id="${id}-aggregateStrategy">
+                    <option value="random" ${!['weighted', 'alias'].includes(config.aggregate?.strategy) ? 'selected' : ''}>随机选择一个成员</option>
+                    <option value="weighted" ${config.aggregate?.strategy === 'weighted' ? 'selected' : ''}>按权重随机</option>
+                    <option value="alias" ${config.aggregate?.strategy === 'alias' ? 'selected' : ''}>别名 (总是转到唯一的目标)</option>
+                </select></div></div>
+                <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">目标端点:</label><div class="col-sm-9">
+                    <div id="${id}-targets-list"></div>
+                    <button type="button" class="btn btn-outline-secondary btn-sm" onclick="addAggregateTarget(this.closest('.card').dataset.apiKey)"><i class="bi bi-plus-circle"></i> 添加目标</button>
+                </div></div>
+                <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">按条件加入:</label><div class="col-sm-9">
+                    <div class="input-group input-group-sm">
+                        <span class="input-group-text">分组</span>
+                        <input type="text" class="form-control" id="${id}-aggregateGroup" value="${escapeHtml(config.aggregate?.group || '')}" placeholder="不限">
+                        <span class="input-group-text">类型</span>
+                        <select class="form-select" id="${id}-aggregateType">
+                            <option value="" ${!config.aggregate?.type ? 'selected' : ''}>不限</option>
+                            <option value="image" ${config.aggregate?.type === 'image' ? 'selected' : ''}>图片</option>
+                            <option value="video" ${config.aggregate?.type === 'video' ? 'selected' : ''}>视频</option>
+                        </select>
+                    </div>
+                    <div class="form-text">填写分组或类型后，所有匹配的普通端点 (不含其他聚合端点) 都会成为成员。需要 API 密钥的成员只在本端点也需要密钥时参与选择。</div>
+                </div></div>
+            </div>
             
-            <div class="proxy-settings" id="${apiKey}-proxy-settings" style="display:${config.method === 'proxy' ? 'block' : 'none'}">
+            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">限流:</label><div class="col-sm-9">
+                <div class="input-group input-group-sm">
+                    <input type="number" class="form-control" id="${id}-rateLimitPerMinute" value="${escapeHtml(config.rateLimit?.perMinute || '')}" min="0" placeholder="不限">
+                    <span class="input-group-text">次/分钟，突发</span>
+                    <input type="number" class="form-control" id="${id}-rateLimitBurst" value="${escapeHtml(config.rateLimit?.burst || '')}" min="0" placeholder="同速率">
+                    <select class="form-select" id="${id}-rateLimitScope">
+                        <option value="ip" ${!['token', 'global'].includes(config.rateLimit?.scope) ? 'selected' : ''}>按客户端 IP</option>
+                        <option value="token" ${config.rateLimit?.scope === 'token' ? 'selected' : ''}>按 API 令牌 (无有效密钥按 IP)</option>
+                        <option value="global" ${config.rateLimit?.scope === 'global' ? 'selected' : ''}>端点全局</option>
+                    </select>
+                </div>
+                <div class="form-text">令牌桶限流，留空或 0 表示不限制。令牌通过 <code>?key=</code> 或 <code>Authorization: Bearer</code> 传递，只有已登记且启用的 API 密钥单独计数。</div>
+            </div></div>
+
+            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">访问控制:</label><div class="col-sm-9 d-flex align-items-center">
+                <div class="form-check"><input class="form-check-input" type="checkbox" id="${id}-requireApiKey" ${config.requireApiKey ? 'checked' : ''}><label class="form-check-label" for="${id}-requireApiKey">需要 API 密钥</label></div>
+                ${(currentConfigData.protectedGroups || []).includes(config.group || '默认分组') ? '<span class="form-text ms-3 mt-0">所在分组已要求密钥</span>' : ''}
+            </div></div>
+
+            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">可用性:</label><div class="col-sm-9">
+                <div class="form-check form-switch"><input class="form-check-input" type="checkbox" id="${id}-enabled" ${config.enabled !== false ? 'checked' : ''}><label class="form-check-label" for="${id}-enabled">启用端点</label></div>
+                <div class="input-group input-group-sm mt-2">
+                    <span class="input-group-text">开放时段</span><input type="text" class="form-control font-monospace" id="${id}-availableWindows" value="${escapeHtml((config.availability?.windows || []).map(w => `${w.start}-${w.end}`).join(', '))}" placeholder="例如 08:00-23:00，多个用逗号分隔，留空表示全天">
+                    <span class="input-group-text">到期时间</span><input type="datetime-local" class="form-control" id="${id}-expiresAt" value="${toLocalDateTimeInput(config.availability?.expiresAt)}">
+                </div>
+                <div class="input-group input-group-sm mt-2">
+                    <span class="input-group-text">不可用时</span>
+                    <select class="form-select" id="${id}-whenUnavailable" onchange="toggleUnavailableOptions(this)">
+                        <option value="not_found" ${!['unavailable', 'fallback'].includes(config.availability?.whenUnavailable) ? 'selected' : ''}>返回 404 (如同不存在)</option>
+                        <option value="unavailable" ${config.availability?.whenUnavailable === 'unavailable' ? 'selected' : ''}>返回 503 和提示信息</option>
+                        <option value="fallback" ${config.availability?.whenUnavailable === 'fallback' ? 'selected' : ''}>改用其他端点</option>
+                    </select>
+                    <input type="text" class="form-control unavailable-message" id="${id}-unavailableMessage" value="${escapeHtml(config.availability?.message || '')}" placeholder="提示信息，留空使用默认" style="display:${config.availability?.whenUnavailable === 'unavailable' ? '' : 'none'}">
+                    <select class="form-select unavailable-fallback" id="${id}-fallbackKey" style="display:${config.availability?.whenUnavailable === 'fallback' ? '' : 'none'}">
+                        ${Object.keys(currentConfigData.apiUrls).filter(k => k !== apiKey).sort().map(k => `<option value="${escapeHtml(k)}" ${k === config.availability?.fallbackKey ? 'selected' : ''}>/${escapeHtml(k)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-text">停用的端点保留全部配置。开放时段按服务器时区 (<span class="availability-timezone"></span>) 计算，可跨午夜（如 22:00-06:00）；不可用的端点不会出现在首页、接口文档和聚合端点中。</div>
+            </div></div>
+
+            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">LLM 集成:</label><div class="col-sm-9 d-flex align-items-center">
+                <div class="form-check form-switch"><input class="form-check-input" type="checkbox" id="${id}-includeInPrompt" ${config.includeInPrompt !== false ? 'checked' : ''}><label class="form-check-label" for="${id}-includeInPrompt">出现在 LLM 提示词和工具列表中</label></div>
+            </div></div>
+
+            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">上游请求头:</label><div class="col-sm-9">
+                <div id="${id}-requestHeaders-list"></div>
+                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="addHeader(this.closest('.card').dataset.apiKey, 'request')"><i class="bi bi-plus-circle"></i> 添加请求头</button>
+                <div class="form-text">请求上游时附带，例如 Referer、User-Agent、Cookie、Authorization。勾选"保密"后保存的值不会再显示。</div>
+            </div></div>
+            <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">响应头:</label><div class="col-sm-9">
+                <div id="${id}-responseHeaders-list"></div>
+                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="addHeader(this.closest('.card').dataset.apiKey, 'response')"><i class="bi bi-plus-circle"></i> 添加响应头</button>
+                <div class="form-text">附加到本端点的响应，例如 Cache-Control、Access-Control-Allow-Origin、Content-Disposition。</div>
+            </div></div>
+
+            <div class="proxy-settings" id="${id}-proxy-settings" style="display:${['proxy', 'cache'].includes(config.method) ? 'block' : 'none'}">
                 <h5>代理设置</h5>
-                <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">图片链接字段:</label><div class="col-sm-9"><input type="text" class="form-control" id="${apiKey}-imageUrlField" value="${config.proxySettings?.imageUrlField || ''}" placeholder="例如: data.url"></div></div>
-                <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">提取失败时:</label><div class="col-sm-9"><select class="form-select" id="${apiKey}-fallbackAction"><option value="returnJson" ${config.proxySettings?.fallbackAction !== 'error' ? 'selected' : ''}>返回原始 JSON</option><option value="error" ${config.proxySettings?.fallbackAction === 'error' ? 'selected' : ''}>返回错误</option></select></div></div>
+                <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">上游请求方式:</label><div class="col-sm-9"><select class="form-select" id="${id}-upstreamMethod" onchange="this.closest('.proxy-settings').querySelector('.body-template-row').style.display = this.value === 'GET' ? 'none' : 'flex'">
+                    ${['GET', 'POST', 'PUT'].map(m => `<option value="${m}" ${(config.upstreamMethod || 'GET') === m ? 'selected' : ''}>${m}</option>`).join('')}
+                </select></div></div>
+                <div class="row mb-3 body-template-row" style="display:${config.upstreamMethod && config.upstreamMethod !== 'GET' ? 'flex' : 'none'}"><label class="col-sm-3 col-form-label text-sm-end">请求体模板:</label><div class="col-sm-9">
+                    <textarea class="form-control font-monospace" id="${id}-bodyTemplate" rows="4" placeholder='{"prompt": "{{tags}}", "model": "{{model}}", "n": "{{n:number}}"}'>${escapeHtml(config.bodyTemplate || '')}</textarea>
+                    <div class="form-text">JSON 格式，<code>{{参数名}}</code> 会替换为查询参数的值；整个字符串为 <code>{{参数名:number}}</code>、<code>:boolean</code> 或 <code>:json</code> 时转换为对应类型。留空则以 JSON 发送全部查询参数。</div>
+                </div></div>
+                <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">图片链接字段:</label><div class="col-sm-9">
+                    <div class="input-group"><input type="text" class="form-control font-monospace" id="${id}-imageUrlField" value="${escapeHtml(config.proxySettings?.imageUrlField || '')}" placeholder="例如: data.url"><button type="button" class="btn btn-outline-secondary" onclick="openExtractTest(this.closest('.card').dataset.apiKey)"><i class="bi bi-funnel"></i> 测试提取</button></div>
+                    <div class="form-text">支持 <code>data.0.url</code>、<code>data[-1].url</code>、<code>data[*].url</code>、<code>..url</code>、<code>data[?(@.type=='image')].url</code>；文本/HTML 响应可使用 <code>regex:src="([^"]+)"</code>。</div>
+                </div></div>
+                <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">允许覆盖字段:</label><div class="col-sm-9"><div class="form-check form-switch"><input class="form-check-input" type="checkbox" id="${id}-imageUrlFieldFromParam" ${config.proxySettings?.imageUrlFieldFromParam ? 'checked' : ''}><label class="form-check-label text-muted" for="${id}-imageUrlFieldFromParam">调用方可通过 <code>?field=</code> 指定提取路径</label></div></div></div>
+                <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">多个结果时:</label><div class="col-sm-9"><select class="form-select" id="${id}-pickMode">
+                    <option value="first" ${config.proxySettings?.pickMode !== 'random' ? 'selected' : ''}>取第一个</option>
+                    <option value="random" ${config.proxySettings?.pickMode === 'random' ? 'selected' : ''}>随机选择一个</option>
+                </select></div></div>
+                <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">提取方式:</label><div class="col-sm-9"><select class="form-select" id="${id}-extractMode">
+                    <option value="auto" ${!['url', 'base64'].includes(config.proxySettings?.extractMode) ? 'selected' : ''}>自动识别 (链接 / base64 / data URI)</option>
+                    <option value="url" ${config.proxySettings?.extractMode === 'url' ? 'selected' : ''}>总是作为链接 (不校验)</option>
+                    <option value="base64" ${config.proxySettings?.extractMode === 'base64' ? 'selected' : ''}>总是作为 base64 解码</option>
+                </select><div class="form-text">自动识别时，没有扩展名的链接会通过 HEAD 请求或读取文件头确认是图片/视频。</div></div></div>
+                <div class="row mb-3 proxy-only" style="display:${config.method === 'proxy' ? 'flex' : 'none'}"><label class="col-sm-3 col-form-label text-sm-end">返回方式:</label><div class="col-sm-9"><select class="form-select" id="${id}-resultMode">
+                    <option value="redirect" ${config.proxySettings?.resultMode !== 'stream' ? 'selected' : ''}>重定向到提取的链接</option>
+                    <option value="stream" ${config.proxySettings?.resultMode === 'stream' ? 'selected' : ''}>由服务端下载并转发</option>
+                </select></div></div>
+                <div class="row mb-3 proxy-only" style="display:${config.method === 'proxy' ? 'flex' : 'none'}"><label class="col-sm-3 col-form-label text-sm-end">响应缓存:</label><div class="col-sm-9">
+                    <div class="input-group">
+                        <span class="input-group-text">有效期</span><input type="number" min="0" class="form-control" id="${id}-responseCacheTtl" value="${config.responseCache?.ttl || 0}" title="秒，0 表示不缓存">
+                        <span class="input-group-text">过期后可用</span><input type="number" min="0" class="form-control" id="${id}-responseCacheSwr" value="${config.responseCache?.staleWhileRevalidate || 0}" title="秒，期间返回旧响应并在后台刷新">
+                        <select class="form-select" id="${id}-responseCacheStore">
+                            <option value="memory" ${config.responseCache?.store !== 'sqlite' ? 'selected' : ''}>内存</option>
+                            <option value="sqlite" ${config.responseCache?.store === 'sqlite' ? 'selected' : ''}>SQLite (重启后保留)</option>
+                        </select>
+                    </div>
+                    <div class="form-text d-flex align-items-center gap-2 flex-wrap">单位为秒，有效期为 0 表示不缓存。按最终请求地址缓存上游 JSON，提取仍按每次请求进行。
+                        <span class="response-cache-info" data-api-key="${id}">${responseCacheInfoText(apiKey)}</span>
+                        <button type="button" class="btn btn-outline-secondary btn-sm" onclick="openResponseCache(this.closest('.card').dataset.apiKey)"><i class="bi bi-eye"></i> 查看</button>
+                        <button type="button" class="btn btn-outline-danger btn-sm editor-only" onclick="purgeResponseCache(this.closest('.card').dataset.apiKey)"><i class="bi bi-trash"></i> 清空</button>
+                    </div>
+                </div></div>
+                <div class="row mb-3 proxy-only" style="display:${config.method === 'proxy' ? 'flex' : 'none'}"><label class="col-sm-3 col-form-label text-sm-end">避免重复:</label><div class="col-sm-9">
+                    <div class="input-group">
+                        <span class="input-group-text">记住最近</span><input type="number" min="0" max="100" class="form-control" id="${id}-dedupWindow" value="${config.dedup?.window || 0}" title="0 表示不去重">
+                        <select class="form-select" id="${id}-dedupScope">
+                            <option value="endpoint" ${!['ip', 'cookie'].includes(config.dedup?.scope) ? 'selected' : ''}>整个端点</option>
+                            <option value="ip" ${config.dedup?.scope === 'ip' ? 'selected' : ''}>按客户端 IP</option>
+                            <option value="cookie" ${config.dedup?.scope === 'cookie' ? 'selected' : ''}>按浏览器 Cookie</option>
+                        </select>
+                        <span class="input-group-text">最多重试</span><input type="number" min="0" max="10" class="form-control" id="${id}-dedupRetries" value="${config.dedup?.retries ?? 3}">
+                    </div>
+                    <div class="form-text d-flex align-items-center gap-2 flex-wrap">提取到最近返回过的图片时重新请求上游，0 表示不去重。
+                        <button type="button" class="btn btn-outline-secondary btn-sm" onclick="openServedGallery(this.closest('.card').dataset.apiKey)"><i class="bi bi-clock-history"></i> 最近返回</button>
+                    </div>
+                </div></div>
+                <div class="row mb-3"><label class="col-sm-3 col-form-label text-sm-end">提取失败时:</label><div class="col-sm-9"><select class="form-select" id="${id}-fallbackAction"><option value="returnJson" ${config.proxySettings?.fallbackAction !== 'error' ? 'selected' : ''}>返回原始 JSON</option><option value="error" ${config.proxySettings?.fallbackAction === 'error' ? 'selected' : ''}>返回错误</option></select></div></div>
+                <div class="row mb-3 cache-only" style="display:${config.method === 'cache' ? 'flex' : 'none'}"><label class="col-sm-3 col-form-label text-sm-end">缓存池:</label><div class="col-sm-9 d-flex align-items-center gap-2">
+                    <span class="media-cache-info text-muted" data-api-key="${id}">${mediaCacheInfoText(apiKey)}</span>
+                    <button type="button" class="btn btn-outline-danger btn-sm" onclick="purgeMediaCache(this.closest('.card').dataset.apiKey)"><i class="bi bi-trash"></i> 清空</button>
+                </div></div>
             </div>
             
             <div class="query-params">
                 <h5>查询参数配置</h5>
-                <div id="${apiKey}-params-list"></div>
-                <button type="button" class="btn btn-outline-secondary btn-sm mt-2" onclick="addQueryParam('${apiKey}')"><i class="bi bi-plus-circle"></i> 添加参数</button>
+                <div id="${id}-params-list"></div>
+                <button type="button" class="btn btn-outline-secondary btn-sm mt-2" onclick="addQueryParam(this.closest('.card').dataset.apiKey)"><i class="bi bi-plus-circle"></i> 添加参数</button>
             </div>
         </div>`;
 
@@ -253,27 +824,229 @@ function renderApiEndpoint(apiKey, config) {
     const paramsList = card.querySelector(`#${apiKey}-params-list`);
     (config.queryParams || []).forEach((param, i) => renderQueryParam(paramsList, apiKey, param, i));
 
+    const upstreamsList = card.querySelector(`#${apiKey}-upstreams-list`);
+    (config.upstreams || []).forEach(upstream => renderUpstream(upstreamsList, upstream));
+
+    const targetsList = card.querySelector(`#${apiKey}-targets-list`);
+    (config.aggregate?.targets || []).forEach(target => renderAggregateTarget(targetsList, target));
+
+    ['request', 'response'].forEach(direction => {
+        const list = card.querySelector(`#${apiKey}-${direction}Headers-list`);
+        (config[`${direction}Headers`] || []).forEach(header => renderHeader(list, header, direction));
+    });
+
     return card;
 }
 
+function renderUpstream(container, upstream) {
+    const div = document.createElement('div');
+    div.className = 'upstream-item input-group input-group-sm mb-2';
+    div.innerHTML = `
+        <input type="text" class="form-control upstream-url" value="${escapeHtml(upstream.url)}" placeholder="https://mirror.example.com">
+        <span class="input-group-text">权重</span>
+        <input type="number" class="form-control upstream-weight" value="${escapeHtml(upstream.weight ?? 1)}" min="0">
+        <span class="input-group-text">优先级</span>
+        <input type="number" class="form-control upstream-priority" value="${escapeHtml(upstream.priority ?? 1)}">
+        <button type="button" class="btn btn-outline-danger" onclick="this.closest('.upstream-item').remove()" title="移除"><i class="bi bi-x-lg"></i></button>`;
+    container.appendChild(div);
+}
+
+function addUpstream(apiKey) {
+    renderUpstream(document.getElementById(`${apiKey}-upstreams-list`), {});
+}
+
+function collectUpstreams(card, original) {
+    return Array.from(card.querySelectorAll(`#${original}-upstreams-list .upstream-item`)).map(item => ({
+        url: item.querySelector('.upstream-url').value.trim(),
+        weight: parseInt(item.querySelector('.upstream-weight').value, 10) || 0,
+        priority: parseInt(item.querySelector('.upstream-priority').value, 10) || 0
+    })).filter(u => u.url);
+}
+
+// Defaults (weight 1, priority 0) are left out so unchanged endpoints keep their saved shape
+function collectPrimaryUpstream(card, original) {
+    const weight = parseInt(card.querySelector(`#${original}-urlWeight`).value, 10);
+    const priority = parseInt(card.querySelector(`#${original}-urlPriority`).value, 10);
+    return {
+        urlWeight: Number.isNaN(weight) || weight === 1 ? undefined : Math.max(weight, 0),
+        urlPriority: Number.isNaN(priority) || priority === 0 ? undefined : priority
+    };
+}
+
+function renderAggregateTarget(container, target) {
+    const div = document.createElement('div');
+    div.className = 'target-item input-group input-group-sm mb-2';
+    div.innerHTML = `
+        <span class="input-group-text">/</span>
+        <input type="text" class="form-control target-key" value="${escapeHtml(target.key || '')}" placeholder="端点名" list="endpoint-keys">
+        <span class="input-group-text">权重</span>
+        <input type="number" class="form-control target-weight" value="${escapeHtml(target.weight ?? 1)}" min="0">
+        <button type="button" class="btn btn-outline-danger" onclick="this.closest('.target-item').remove()" title="移除"><i class="bi bi-x-lg"></i></button>`;
+    container.appendChild(div);
+}
+
+function addAggregateTarget(apiKey) {
+    renderAggregateTarget(document.getElementById(`${apiKey}-targets-list`), {});
+}
+
+function collectAggregate(card, original) {
+    if (card.querySelector(`#${original}-method`).value !== 'aggregate') return undefined;
+    return {
+        strategy: card.querySelector(`#${original}-aggregateStrategy`).value,
+        targets: Array.from(card.querySelectorAll(`#${original}-targets-list .target-item`)).map(item => ({
+            key: item.querySelector('.target-key').value.trim(),
+            weight: parseInt(item.querySelector('.target-weight').value, 10) || 0
+        })).filter(t => t.key),
+        group: card.querySelector(`#${original}-aggregateGroup`).value.trim() || undefined,
+        type: card.querySelector(`#${original}-aggregateType`).value || undefined
+    };
+}
+
+function renderHeader(container, header, direction) {
+    const secret = direction === 'request' && header.secret;
+    const div = document.createElement('div');
+    div.className = 'header-item input-group input-group-sm mb-2';
+    div.innerHTML = `
+        <input type="text" class="form-control header-name" value="${escapeHtml(header.name || '')}" placeholder="${direction === 'request' ? 'Referer' : 'Cache-Control'}">
+        <input type="${secret ? 'password' : 'text'}" class="form-control header-value" value="${escapeHtml(header.value || '')}" placeholder="值">
+        ${direction === 'request' ? `<span class="input-group-text"><input class="form-check-input mt-0 me-1 header-secret" type="checkbox" ${secret ? 'checked' : ''} onchange="this.closest('.header-item').querySelector('.header-value').type = this.checked ? 'password' : 'text'">保密</span>` : ''}
+        <button type="button" class="btn btn-outline-danger" onclick="this.closest('.header-item').remove()" title="移除"><i class="bi bi-x-lg"></i></button>`;
+    container.appendChild(div);
+}
+
+function addHeader(apiKey, direction) {
+    renderHeader(document.getElementById(`${apiKey}-${direction}Headers-list`), {}, direction);
+}
+
+function collectHeaders(card, original, direction) {
+    return Array.from(card.querySelectorAll(`#${original}-${direction}Headers-list .header-item`)).map(item => {
+        const header = { name: item.querySelector('.header-name').value.trim(), value: item.querySelector('.header-value').value.trim() };
+        if (direction === 'request') header.secret = item.querySelector('.header-secret').checked;
+        return header;
+    }).filter(h => h.name);
+}
+
+function collectUpstreamRequest(card, original) {
+    const method = card.querySelector(`#${original}-upstreamMethod`).value;
+    return {
+        upstreamMethod: method !== 'GET' ? method : undefined,
+        bodyTemplate: card.querySelector(`#${original}-bodyTemplate`).value.trim() || undefined
+    };
+}
+
+function collectRateLimit(card, original) {
+    return {
+        perMinute: parseInt(card.querySelector(`#${original}-rateLimitPerMinute`).value, 10) || 0,
+        burst: parseInt(card.querySelector(`#${original}-rateLimitBurst`).value, 10) || 0,
+        scope: card.querySelector(`#${original}-rateLimitScope`).value
+    };
+}
+
+function collectResponseCache(card, original) {
+    const ttl = parseInt(card.querySelector(`#${original}-responseCacheTtl`).value, 10) || 0;
+    if (card.querySelector(`#${original}-method`).value !== 'proxy' || ttl <= 0) return undefined;
+    return {
+        ttl,
+        staleWhileRevalidate: parseInt(card.querySelector(`#${original}-responseCacheSwr`).value, 10) || 0,
+        store: card.querySelector(`#${original}-responseCacheStore`).value
+    };
+}
+
+function collectDedup(card, original) {
+    const size = parseInt(card.querySelector(`#${original}-dedupWindow`).value, 10) || 0;
+    if (card.querySelector(`#${original}-method`).value !== 'proxy' || size <= 0) return undefined;
+    const retries = parseInt(card.querySelector(`#${original}-dedupRetries`).value, 10);
+    return { window: size, scope: card.querySelector(`#${original}-dedupScope`).value, retries: Number.isNaN(retries) ? 3 : retries };
+}
+
 function toggleProxySettings(select, apiKey) {
-    document.getElementById(`${apiKey}-proxy-settings`).style.display = select.value === 'proxy' ? 'block' : 'none';
+    const settings = document.getElementById(`${apiKey}-proxy-settings`);
+    settings.style.display = ['proxy', 'cache'].includes(select.value) ? 'block' : 'none';
+    document.getElementById(`${apiKey}-aggregate-settings`).style.display = select.value === 'aggregate' ? 'block' : 'none';
+    document.getElementById(`${apiKey}-collection-settings`).style.display = select.value === 'collection' ? 'block' : 'none';
+    document.getElementById(`${apiKey}-url`).required = !['aggregate', 'collection'].includes(select.value);
+    settings.querySelector('.cache-only').style.display = select.value === 'cache' ? 'flex' : 'none';
+    settings.querySelectorAll('.proxy-only').forEach(row => row.style.display = select.value === 'proxy' ? 'flex' : 'none');
 }
 
+const paramTypeLabels = { string: '字符串', integer: '整数', float: '小数', boolean: '布尔', enum: '枚举（有效值）' };
+
 function renderQueryParam(container, apiKey, param, index) {
     const div = document.createElement('div');
     div.className = 'param-item';
-    const prefix = `${apiKey}-param-${index}`;
+    const prefix = `${escapeHtml(apiKey)}-param-${index}`;
+    const advanced = ['type', 'min', 'max', 'minLength', 'maxLength', 'pattern', 'aliases', 'upstreamName', 'valueMap', 'location'].some(field => param[field] !== undefined && param[field] !== null);
     div.innerHTML = `
         <button type="button" class="btn btn-danger btn-sm remove-param-button" onclick="this.closest('.param-item').remove()"><i class="bi bi-x-lg"></i></button>
-        <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">参数名:</label><div class="col-sm-9"><input type="text" class="form-control form-control-sm" id="${prefix}-name" value="${param.name || ''}" required placeholder="keyword"></div></div>
-        <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">描述:</label><div class="col-sm-9"><textarea class="form-control form-control-sm" id="${prefix}-desc" placeholder="参数说明">${param.description || ''}</textarea></div></div>
+        <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">参数名:</label><div class="col-sm-9"><input type="text" class="form-control form-control-sm" id="${prefix}-name" value="${escapeHtml(param.name || '')}" required placeholder="keyword"></div></div>
+        <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">描述:</label><div class="col-sm-9"><textarea class="form-control form-control-sm" id="${prefix}-desc" placeholder="参数说明">${escapeHtml(param.description || '')}</textarea></div></div>
         <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">必需:</label><div class="col-sm-9"><div class="form-check form-switch"><input class="form-check-input" type="checkbox" id="${prefix}-required" ${param.required ? 'checked' : ''}></div></div></div>
-        <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">默认值:</label><div class="col-sm-9"><input type="text" class="form-control form-control-sm" id="${prefix}-default" value="${param.defaultValue || ''}" placeholder="可选"></div></div>
-        <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">有效值:</label><div class="col-sm-9"><input type="text" class="form-control form-control-sm" id="${prefix}-validValues" value="${(param.validValues || []).join(',')}" placeholder="value1,value2"></div></div>`;
+        <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">默认值:</label><div class="col-sm-9"><input type="text" class="form-control form-control-sm" id="${prefix}-default" value="${escapeHtml(param.defaultValue || '')}" placeholder="可选"></div></div>
+        <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">有效值:</label><div class="col-sm-9"><input type="text" class="form-control form-control-sm" id="${prefix}-validValues" value="${escapeHtml((param.validValues || []).join(','))}" placeholder="value1,value2"></div></div>
+        <details class="mb-2" ${advanced ? 'open' : ''}>
+            <summary class="small text-muted mb-2">类型与转换</summary>
+            <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">类型:</label><div class="col-sm-9">
+                <select class="form-select form-select-sm" id="${prefix}-type">
+                    ${Object.entries(paramTypeLabels).map(([value, label]) => `<option value="${value}" ${(param.type || 'string') === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </div></div>
+            <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">数值范围:</label><div class="col-sm-9"><div class="input-group input-group-sm">
+                <input type="number" step="any" class="form-control" id="${prefix}-min" value="${param.min ?? ''}" placeholder="最小值">
+                <span class="input-group-text">~</span>
+                <input type="number" step="any" class="form-control" id="${prefix}-max" value="${param.max ?? ''}" placeholder="最大值">
+            </div><div class="form-text">仅对整数和小数类型生效</div></div></div>
+            <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">长度:</label><div class="col-sm-9"><div class="input-group input-group-sm">
+                <input type="number" min="0" step="1" class="form-control" id="${prefix}-minLength" value="${param.minLength ?? ''}" placeholder="最短">
+                <span class="input-group-text">~</span>
+                <input type="number" min="0" step="1" class="form-control" id="${prefix}-maxLength" value="${param.maxLength ?? ''}" placeholder="最长">
+            </div></div></div>
+            <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">正则:</label><div class="col-sm-9"><input type="text" class="form-control form-control-sm font-monospace" id="${prefix}-pattern" value="${escapeHtml(param.pattern || '')}" placeholder="[a-z0-9-]+"><div class="form-text">需匹配整个值</div></div></div>
+            <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">别名:</label><div class="col-sm-9"><input type="text" class="form-control form-control-sm" id="${prefix}-aliases" value="${escapeHtml((param.aliases || []).join(','))}" placeholder="w,wid"></div></div>
+            <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">上游参数名:</label><div class="col-sm-9"><input type="text" class="form-control form-control-sm" id="${prefix}-upstream" value="${escapeHtml(param.upstreamName || '')}" placeholder="留空则与参数名相同"></div></div>
+            <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">值映射:</label><div class="col-sm-9"><input type="text" class="form-control form-control-sm" id="${prefix}-valueMap" value="${escapeHtml(Object.entries(param.valueMap || {}).map(([from, to]) => `${from}=${to}`).join(', '))}" placeholder="hd=1920, sd=720"></div></div>
+            <div class="row mb-2"><label class="col-sm-3 col-form-label text-sm-end">位置:</label><div class="col-sm-9">
+                <select class="form-select form-select-sm" id="${prefix}-location">
+                    <option value="query" ${param.location !== 'path' ? 'selected' : ''}>查询字符串</option>
+                    <option value="path" ${param.location === 'path' ? 'selected' : ''}>URL 路径</option>
+                </select>
+            </div></div>
+        </details>`;
     container.appendChild(div);
 }
 
+function collectQueryParam(item) {
+    const name = item.querySelector('[id$="-name"]').value.trim();
+    if (!name) return null;
+    const list = id => item.querySelector(`[id$="-${id}"]`).value.split(',').map(v => v.trim()).filter(Boolean);
+    const number = id => {
+        const value = item.querySelector(`[id$="-${id}"]`).value.trim();
+        return value === '' ? undefined : Number(value);
+    };
+    const validValues = list('validValues');
+    const aliases = list('aliases');
+    // Split on the first '=' only, so mapped values may contain '='
+    const valueMap = Object.fromEntries(list('valueMap').filter(pair => pair.indexOf('=') > 0)
+        .map(pair => [pair.slice(0, pair.indexOf('=')).trim(), pair.slice(pair.indexOf('=') + 1).trim()]).filter(([from]) => from));
+    const type = item.querySelector('[id$="-type"]').value;
+    return {
+        name,
+        description: item.querySelector('[id$="-desc"]').value.trim(),
+        required: item.querySelector('[id$="-required"]').checked,
+        defaultValue: item.querySelector('[id$="-default"]').value.trim() || undefined,
+        validValues: validValues.length ? validValues : undefined,
+        type: type !== 'string' ? type : undefined,
+        min: number('min'),
+        max: number('max'),
+        minLength: number('minLength'),
+        maxLength: number('maxLength'),
+        pattern: item.querySelector('[id$="-pattern"]').value.trim() || undefined,
+        aliases: aliases.length ? aliases : undefined,
+        upstreamName: item.querySelector('[id$="-upstream"]').value.trim() || undefined,
+        valueMap: Object.keys(valueMap).length ? valueMap : undefined,
+        location: item.querySelector('[id$="-location"]').value === 'path' ? 'path' : undefined
+    };
+}
+
 function addQueryParam(apiKey) {
     const container = document.getElementById(`${apiKey}-params-list`);
     const index = container.querySelectorAll('.param-item').length;
@@ -282,7 +1055,7 @@ function addQueryParam(apiKey) {
 
 function addApiEndpoint() {
     const newKey = `new_endpoint_${Date.now()}`;
-    const newConfig = { group: '默认分组', description: '', url: '', method: 'redirect', queryParams: [], proxySettings: {} };
+    const newConfig = { group: '默认分组', description: '', url: '', method: 'redirect', upstreamStrategy: 'priority', upstreams: [], queryParams: [], proxySettings: {} };
 
     if (!apiConfigsContainer.querySelector('.card')) apiConfigsContainer.innerHTML = '';
 
@@ -323,7 +1096,7 @@ function addNewGroup() {
     container.id = id;
     const title = document.createElement('h2');
     title.className = 'group-title d-flex align-items-center';
-    title.innerHTML = `<input type="checkbox" class="form-check-input me-2 group-select-all-checkbox" onchange="toggleSelectGroup(this, '${trimmed}')"> ${trimmed}`;
+    title.innerHTML = `<input type="checkbox" class="form-check-input me-2 group-select-all-checkbox" data-group="${escapeHtml(trimmed)}" onchange="toggleSelectGroup(this, this.dataset.group)"> ${escapeHtml(trimmed)} ${groupLockButtonHtml(trimmed)}`;
     container.appendChild(title);
     apiConfigsContainer.appendChild(container);
 
@@ -374,8 +1147,8 @@ function batchDeleteEndpoints() {
 
     keys.forEach(apiKey => {
         delete currentConfigData.apiUrls[apiKey];
-        document.querySelector(`.card[data-api-key="${apiKey}"]`)?.remove();
-        document.querySelector(`tr[data-api-key="${apiKey}"]`)?.remove();
+        document.querySelector(`.card[data-api-key="${CSS.escape(apiKey)}"]`)?.remove();
+        document.querySelector(`tr[data-api-key="${CSS.escape(apiKey)}"]`)?.remove();
     });
 
     handleCheckboxChange();
@@ -398,7 +1171,7 @@ function batchMoveGroup() {
     currentConfigData.apiUrls = formData.apiUrls;
     renderConfig();
     keys.forEach(apiKey => {
-        const cb = apiConfigsContainer.querySelector(`.endpoint-checkbox[value="${apiKey}"]`);
+        const cb = apiConfigsContainer.querySelector(`.endpoint-checkbox[value="${CSS.escape(apiKey)}"]`);
         if (cb) cb.checked = true;
     });
     handleCheckboxChange();
@@ -414,36 +1187,578 @@ function collectFormData() {
         if (!apiKey) return;
 
         updatedApiUrls[apiKey] = {
+            queryParams: [],
+            proxySettings: {},
+            ...currentConfigData.apiUrls[original],
             group: card.querySelector(`#${original}-group`).value.trim() || '默认分组',
             description: card.querySelector(`#${original}-description`).value.trim(),
             url: card.querySelector(`#${original}-url`).value.trim(),
             type: card.querySelector(`#${original}-type`).value,
             method: card.querySelector(`#${original}-method`).value,
-            queryParams: [],
-            proxySettings: {}
+            upstreamStrategy: card.querySelector(`#${original}-upstreamStrategy`).value,
+            upstreams: collectUpstreams(card, original),
+            ...collectPrimaryUpstream(card, original),
+            rateLimit: collectRateLimit(card, original),
+            requireApiKey: card.querySelector(`#${original}-requireApiKey`).checked || undefined,
+            includeInPrompt: card.querySelector(`#${original}-includeInPrompt`).checked ? undefined : false,
+            enabled: card.querySelector(`#${original}-enabled`).checked ? undefined : false,
+            availability: collectAvailability(card, original),
+            requestHeaders: collectHeaders(card, original, 'request'),
+            responseHeaders: collectHeaders(card, original, 'response'),
+            ...collectUpstreamRequest(card, original),
+            aggregate: collectAggregate(card, original),
+            responseCache: collectResponseCache(card, original),
+            dedup: collectDedup(card, original)
         };
     });
     return { apiUrls: updatedApiUrls };
 }
 
+// === Revision History ===
+const revisionFieldLabels = { group: '分组', description: '描述', url: '目标 URL', method: '处理方式', type: '类型', upstreamStrategy: '上游策略', upstreams: '备用上游', urlWeight: '主上游权重', urlPriority: '主上游优先级', rateLimit: '限流', queryParams: '查询参数', proxySettings: '代理设置', urlConstruction: 'URL 构造', modelName: '模型', requireApiKey: '需要密钥', requestHeaders: '上游请求头', responseHeaders: '响应头', upstreamMethod: '上游请求方式', bodyTemplate: '请求体模板', aggregate: '聚合设置', responseCache: '响应缓存', dedup: '避免重复', enabled: '启用', availability: '可用性', includeInPrompt: 'LLM 提示词' };
+let revisionsModal;
+
+function formatRevisionValue(value) {
+    if (value === undefined) return '(无)';
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 1);
+}
+
+async function loadRevisions() {
+    const response = await fetch('/config/revisions', { credentials: 'same-origin' });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error);
+
+    const tbody = document.getElementById('revisions-body');
+    tbody.innerHTML = result.revisions.map(r => `
+        <tr>
+            <td>${r.id}</td>
+            <td class="text-nowrap">${escapeHtml(r.created_at)}</td>
+            <td>${escapeHtml(r.author || '-')}</td>
+            <td>${escapeHtml(r.note || '')}</td>
+            <td class="text-nowrap">${r.summary ? `<span class="text-success">+${r.summary.added}</span> <span class="text-warning">~${r.summary.changed}</span> <span class="text-danger">-${r.summary.removed}</span>` : ''}</td>
+            <td class="text-end text-nowrap">
+                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="compareRevisions(${r.id}, 'current')">与当前对比</button>
+                <button type="button" class="btn btn-outline-danger btn-sm editor-only" onclick="restoreRevision(${r.id})"><i class="bi bi-arrow-counterclockwise"></i> 恢复</button>
+            </td>
+        </tr>`).join('') || '<tr><td colspan="6" class="text-center text-muted py-3">暂无历史版本</td></tr>';
+
+    const options = '<option value="current">当前配置</option>' + result.revisions.map(r => `<option value="${r.id}">#${r.id} ${escapeHtml(r.created_at)}</option>`).join('');
+    document.getElementById('diff-from-select').innerHTML = options;
+    document.getElementById('diff-to-select').innerHTML = options;
+    if (result.revisions[1]) document.getElementById('diff-from-select').value = String(result.revisions[1].id);
+}
+
+async function openRevisions() {
+    revisionsModal = revisionsModal || new bootstrap.Modal(document.getElementById('revisions-modal'));
+    document.getElementById('revision-diff').innerHTML = '';
+    revisionsModal.show();
+    try {
+        await loadRevisions();
+    } catch (error) {
+        showMessage('加载版本历史失败: ' + error.message, 'error');
+    }
+}
+
+function renderRevisionDiff(diff, targetId = 'revision-diff') {
+    const parts = [];
+    diff.added.forEach(key => parts.push(`<div class="diff-endpoint"><span class="badge bg-success">新增</span> /${escapeHtml(key)}</div>`));
+    diff.removed.forEach(key => parts.push(`<div class="diff-endpoint"><span class="badge bg-danger">删除</span> /${escapeHtml(key)}</div>`));
+    diff.changed.forEach(({ key, fields }) => parts.push(`
+        <div class="diff-endpoint"><span class="badge bg-warning text-dark">修改</span> /${escapeHtml(key)}
+            ${fields.map(f => `<div class="row g-1 mt-1"><div class="col-2 text-muted">${escapeHtml(revisionFieldLabels[f.field] || f.field)}</div>
+                <div class="col-5"><pre class="diff-before p-1">${escapeHtml(formatRevisionValue(f.before))}</pre></div>
+                <div class="col-5"><pre class="diff-after p-1">${escapeHtml(formatRevisionValue(f.after))}</pre></div></div>`).join('')}
+        </div>`));
+    if (diff.baseTag) parts.push(`<div class="diff-endpoint"><span class="badge bg-warning text-dark">修改</span> baseTag: ${escapeHtml(diff.baseTag.before)} → ${escapeHtml(diff.baseTag.after)}</div>`);
+    if (diff.protectedGroups) parts.push(`<div class="diff-endpoint"><span class="badge bg-warning text-dark">修改</span> 需要密钥的分组: ${escapeHtml(diff.protectedGroups.before.join('、') || '(无)')} → ${escapeHtml(diff.protectedGroups.after.join('、') || '(无)')}</div>`);
+    const formatTemplates = templates => templates.map(t => `# ${t.name}\n${t.template}`).join('\n\n') || '(无)';
+    if (diff.promptTemplates) parts.push(`<div class="diff-endpoint"><span class="badge bg-warning text-dark">修改</span> 提示词模板
+        <div class="row g-1 mt-1"><div class="col-6"><pre class="diff-before p-1">${escapeHtml(formatTemplates(diff.promptTemplates.before))}</pre></div>
+            <div class="col-6"><pre class="diff-after p-1">${escapeHtml(formatTemplates(diff.promptTemplates.after))}</pre></div></div></div>`);
+    document.getElementById(targetId).innerHTML = parts.join('') || '<div class="alert alert-info">两个版本之间没有差异。</div>';
+}
+
+async function compareRevisions(from, to) {
+    try {
+        const response = await fetch(`/config/revisions/diff?from=${from}&to=${to}`, { credentials: 'same-origin' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        renderRevisionDiff(result.diff);
+    } catch (error) {
+        showMessage('对比失败: ' + error.message, 'error');
+    }
+}
+
+function compareSelectedRevisions() {
+    compareRevisions(document.getElementById('diff-from-select').value, document.getElementById('diff-to-select').value);
+}
+
+async function restoreRevision(id) {
+    if (!confirm(`确定将配置恢复到版本 #${id} 吗？未保存的修改将丢失。`)) return;
+    try {
+        const response = await fetch(`/config/revisions/${id}/restore`, { method: 'POST', credentials: 'same-origin' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        revisionsModal?.hide();
+        showMessage(`已恢复到版本 #${id}。`, 'success');
+        await loadConfig();
+    } catch (error) {
+        showMessage('恢复失败: ' + error.message, 'error');
+    }
+}
+
+// === Import / Export ===
+let importExportModal;
+
+function openImportExport() {
+    importExportModal = importExportModal || new bootstrap.Modal(document.getElementById('import-export-modal'));
+    const groups = [...new Set(Object.values(savedApiUrls).map(e => e.group || '默认分组'))].sort();
+    document.getElementById('export-groups').innerHTML = groups.map((g, i) => `
+        <div class="form-check form-check-inline"><input class="form-check-input export-group" type="checkbox" id="export-group-${i}" value="${escapeHtml(g)}"><label class="form-check-label" for="export-group-${i}">${escapeHtml(g)}</label></div>`).join('');
+    document.getElementById('export-secrets-row').style.display = currentUser?.role === 'owner' ? '' : 'none';
+    document.getElementById('import-result').innerHTML = '';
+    importExportModal.show();
+}
+
+function exportConfig() {
+    const params = new URLSearchParams({ format: document.getElementById('export-format').value });
+    const groups = Array.from(document.querySelectorAll('.export-group:checked')).map(cb => cb.value);
+    if (groups.length) params.set('groups', groups.join(','));
+    if (document.getElementById('export-secrets').checked) params.set('secrets', 'true');
+    const link = document.createElement('a');
+    link.href = `/config/export?${params}`;
+    link.click();
+}
+
+function readImportFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => { document.getElementById('import-content').value = reader.result; };
+    reader.readAsText(file);
+}
+
+async function runImport(dryRun) {
+    const mode = document.getElementById('import-mode').value;
+    const resultEl = document.getElementById('import-result');
+    if (!dryRun && !confirm(mode === 'replace' ? '替换模式会删除文件中不存在的端点，确定导入吗？' : '确定导入吗？')) return;
+    try {
+        const response = await fetch('/config/import', {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json', 'X-Revision-Note': encodeURIComponent(document.getElementById('revision-note').value.trim()) },
+            body: JSON.stringify({ content: document.getElementById('import-content').value, mode, dryRun })
+        });
+        const result = await response.json();
+        if (result.errors?.length) {
+            resultEl.innerHTML = `<div class="alert alert-danger mb-0"><strong>校验未通过:</strong><ul class="mb-0">${result.errors.map(e => `<li>${e.key !== undefined ? `<code>/${escapeHtml(e.key)}</code> ` : ''}${e.field ? `<code>${escapeHtml(e.field)}</code> ` : ''}${escapeHtml(e.message)}</li>`).join('')}</ul></div>`;
+            return;
+        }
+        if (!response.ok) throw new Error(result.error);
+        const { added, changed, removed } = result.summary;
+        if (dryRun) {
+            resultEl.innerHTML = `<div class="mb-2">预览：新增 ${added.length} 个，修改 ${changed.length} 个，删除 ${removed.length} 个端点。</div><div id="import-diff"></div>`;
+            renderRevisionDiff(result.diff, 'import-diff');
+            return;
+        }
+        importExportModal.hide();
+        showMessage(`导入完成：新增 ${added.length} 个，修改 ${changed.length} 个，删除 ${removed.length} 个端点。`, 'success');
+        await loadConfig();
+    } catch (error) {
+        resultEl.innerHTML = `<div class="alert alert-danger mb-0">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// === Prompt Templates ===
+let promptTemplatesModal;
+
+function renderPromptTemplateItem(t) {
+    return `<div class="param-item prompt-template-item">
+        <div class="input-group input-group-sm mb-2">
+            <label class="input-group-text">名称</label>
+            <input type="text" class="form-control prompt-template-name" value="${escapeHtml(t.name)}" placeholder="default">
+            <button type="button" class="btn btn-outline-primary" onclick="previewPromptTemplate(this)"><i class="bi bi-eye"></i> 预览</button>
+            <button type="button" class="btn btn-outline-danger editor-only" onclick="this.closest('.prompt-template-item').remove()"><i class="bi bi-trash"></i></button>
+        </div>
+        <textarea class="form-control form-control-sm font-monospace prompt-template-text" rows="10">${escapeHtml(t.template)}</textarea>
+        <pre class="prompt-template-preview bg-light p-2 rounded mt-2 mb-0" style="display: none; white-space: pre-wrap;"></pre>
+    </div>`;
+}
+
+function openPromptTemplates() {
+    promptTemplatesModal = promptTemplatesModal || new bootstrap.Modal(document.getElementById('prompt-templates-modal'));
+    document.getElementById('prompt-templates-list').innerHTML = (currentConfigData.promptTemplates || []).map(renderPromptTemplateItem).join('');
+    promptTemplatesModal.show();
+}
+
+// Without a `default` template the new one starts from the built-in homepage prompt
+async function addPromptTemplate() {
+    const names = Array.from(document.querySelectorAll('.prompt-template-name')).map(input => input.value.trim());
+    let item = { name: '', template: '' };
+    if (!names.includes('default')) {
+        try {
+            const { template } = await fetchJson('/config/prompt/preview', { method: 'POST', body: '{}' });
+            item = { name: 'default', template };
+        } catch (error) {
+            showMessage('加载内置模板失败: ' + error.message, 'error');
+        }
+    }
+    document.getElementById('prompt-templates-list').insertAdjacentHTML('beforeend', renderPromptTemplateItem(item));
+}
+
+async function previewPromptTemplate(button) {
+    const item = button.closest('.prompt-template-item');
+    const output = item.querySelector('.prompt-template-preview');
+    output.style.display = 'block';
+    try {
+        const { text } = await fetchJson('/config/prompt/preview', { method: 'POST', body: JSON.stringify({ template: item.querySelector('.prompt-template-text').value }) });
+        output.classList.remove('text-danger');
+        output.textContent = text;
+    } catch (error) {
+        output.classList.add('text-danger');
+        output.textContent = error.message;
+    }
+}
+
+async function savePromptTemplates() {
+    const promptTemplates = Array.from(document.querySelectorAll('.prompt-template-item')).map(item => ({
+        name: item.querySelector('.prompt-template-name').value.trim(),
+        template: item.querySelector('.prompt-template-text').value
+    }));
+    try {
+        const result = await fetchJson('/config/settings', { method: 'PUT', body: JSON.stringify({ promptTemplates }) });
+        currentConfigData.promptTemplates = result.promptTemplates;
+        promptTemplatesModal.hide();
+        showMessage('提示词模板已保存。', 'success');
+    } catch (error) {
+        showMessage('保存提示词模板失败: ' + error.message, 'error');
+    }
+}
+
+// === Consumer API Keys ===
+let consumerKeysModal;
+
+function groupLockButtonHtml(groupName) {
+    const locked = (currentConfigData.protectedGroups || []).includes(groupName);
+    return `<button type="button" class="btn btn-sm ms-2 editor-only ${locked ? 'btn-warning' : 'btn-outline-secondary'}" data-group="${escapeHtml(groupName)}" onclick="toggleGroupProtection(this.dataset.group)" title="${locked ? '该分组所有端点都需要 API 密钥，点击取消' : '点击要求该分组所有端点使用 API 密钥'}"><i class="bi ${locked ? 'bi-lock-fill' : 'bi-unlock'}"></i></button>`;
+}
+
+async function toggleGroupProtection(groupName) {
+    const groups = currentConfigData.protectedGroups || [];
+    const locked = groups.includes(groupName);
+    if (!confirm(locked ? `取消分组 "${groupName}" 的 API 密钥要求？` : `要求分组 "${groupName}" 的所有端点使用 API 密钥？此设置立即生效。`)) return;
+    try {
+        const result = await fetchJson('/config/settings', { method: 'PUT', body: JSON.stringify({ protectedGroups: locked ? groups.filter(g => g !== groupName) : [...groups, groupName] }) });
+        currentConfigData.protectedGroups = result.protectedGroups;
+        document.querySelectorAll('.group-title button[data-group]').forEach(btn => btn.outerHTML = groupLockButtonHtml(btn.dataset.group));
+        showMessage(locked ? `分组 "${groupName}" 已取消密钥要求。` : `分组 "${groupName}" 现在需要 API 密钥。`, 'success');
+    } catch (error) {
+        showMessage('更新分组设置失败: ' + error.message, 'error');
+    }
+}
+
+async function openConsumerKeys() {
+    consumerKeysModal = consumerKeysModal || new bootstrap.Modal(document.getElementById('consumer-keys-modal'));
+    document.getElementById('new-consumer-key').style.display = 'none';
+    document.getElementById('consumer-key-endpoints').innerHTML = Object.keys(savedApiUrls).sort().map(key => `<option value="${escapeHtml(key)}">/${escapeHtml(key)}</option>`).join('');
+    consumerKeysModal.show();
+    try {
+        await loadConsumerKeys();
+    } catch (error) {
+        showMessage('加载 API 密钥失败: ' + error.message, 'error');
+    }
+}
+
+async function loadConsumerKeys() {
+    const { keys } = await fetchJson('/config/consumer-keys');
+    document.getElementById('consumer-keys-body').innerHTML = keys.map(k => `
+        <tr class="${k.enabled ? '' : 'text-muted'}">
+            <td>${escapeHtml(k.name)}</td>
+            <td><code>${escapeHtml(k.prefix)}…</code></td>
+            <td>${k.allowedEndpoints.length ? k.allowedEndpoints.map(e => `/${escapeHtml(e)}`).join(' ') : '全部'}</td>
+            <td class="text-nowrap">${escapeHtml(k.expiresAt || '永不过期')}</td>
+            <td>${k.usageCount}</td>
+            <td class="text-nowrap">${escapeHtml(k.lastUsed || '-')}</td>
+            <td class="text-end text-nowrap">
+                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="updateConsumerKey(${k.id}, { enabled: ${!k.enabled} })">${k.enabled ? '停用' : '启用'}</button>
+                <button type="button" class="btn btn-outline-danger btn-sm" onclick="deleteConsumerKey(${k.id})"><i class="bi bi-trash"></i></button>
+            </td>
+        </tr>`).join('') || '<tr><td colspan="7" class="text-center text-muted py-3">暂无 API 密钥</td></tr>';
+}
+
+async function addConsumerKey() {
+    const expires = document.getElementById('consumer-key-expires').value;
+    const body = {
+        name: document.getElementById('consumer-key-name').value.trim(),
+        allowedEndpoints: Array.from(document.getElementById('consumer-key-endpoints').selectedOptions).map(o => o.value),
+        expiresAt: expires ? new Date(expires).toISOString() : null
+    };
+    try {
+        const created = await fetchJson('/config/consumer-keys', { method: 'POST', body: JSON.stringify(body) });
+        document.getElementById('consumer-key-name').value = '';
+        document.getElementById('consumer-key-expires').value = '';
+        const notice = document.getElementById('new-consumer-key');
+        notice.querySelector('code').textContent = created.key;
+        notice.style.display = 'block';
+        await loadConsumerKeys();
+    } catch (error) {
+        alert('创建 API 密钥失败: ' + error.message);
+    }
+}
+
+async function updateConsumerKey(id, changes) {
+    try {
+        await fetchJson(`/config/consumer-keys/${id}`, { method: 'PATCH', body: JSON.stringify(changes) });
+    } catch (error) {
+        alert('更新 API 密钥失败: ' + error.message);
+    }
+    await loadConsumerKeys();
+}
+
+async function deleteConsumerKey(id) {
+    if (!confirm('确定删除该 API 密钥吗？使用它的客户端将立即无法访问。')) return;
+    try {
+        await fetchJson(`/config/consumer-keys/${id}`, { method: 'DELETE' });
+    } catch (error) {
+        alert('删除 API 密钥失败: ' + error.message);
+    }
+    await loadConsumerKeys();
+}
+
+// === Extraction Test ===
+let extractTestModal;
+
+function openExtractTest(apiKey) {
+    extractTestModal = extractTestModal || new bootstrap.Modal(document.getElementById('extract-test-modal'));
+    document.getElementById('extract-test-expression').value = document.getElementById(`${apiKey}-imageUrlField`).value.trim();
+    document.getElementById('extract-test-pick').value = document.getElementById(`${apiKey}-pickMode`).value;
+    document.getElementById('extract-test-result').innerHTML = '';
+    extractTestModal.show();
+}
+
+async function runExtractTest() {
+    const resultEl = document.getElementById('extract-test-result');
+    try {
+        const result = await fetchJson('/config/extraction/test', {
+            method: 'POST',
+            body: JSON.stringify({
+                expression: document.getElementById('extract-test-expression').value.trim(),
+                pickMode: document.getElementById('extract-test-pick').value,
+                sample: document.getElementById('extract-test-sample').value
+            })
+        });
+        const preview = value => escapeHtml(typeof value === 'string' && value.length > 200 ? `${value.slice(0, 200)}…` : JSON.stringify(value));
+        resultEl.innerHTML = `
+            <div class="mb-2">样本解析为 <strong>${result.parsedAs === 'json' ? 'JSON' : '文本'}</strong>，共匹配 <strong>${result.count}</strong> 项${result.count > result.matches.length ? `（仅显示前 ${result.matches.length} 项）` : ''}。</div>
+            <div class="mb-2">选中结果: ${result.picked === null ? '<span class="text-danger">无可用的字符串结果</span>' : `<code>${preview(result.picked)}</code> <span class="badge bg-secondary">${result.pickedKind === 'inline' ? '内嵌图片数据' : '链接'}</span>`}</div>
+            ${result.matches.length ? `<ol class="small mb-0">${result.matches.map(m => `<li><code>${preview(m)}</code></li>`).join('')}</ol>` : ''}`;
+    } catch (error) {
+        resultEl.innerHTML = `<div class="text-danger">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// === Account & Users ===
+const roleLabels = { viewer: '只读', editor: '编辑', owner: '所有者' };
+const auditActionLabels = {
+    'endpoint.create': '新建端点', 'endpoint.update': '修改端点', 'endpoint.delete': '删除端点', 'settings.update': '修改设置',
+    'login': '登录', 'login.failed': '登录失败', 'logout': '退出登录',
+    'user.create': '新建用户', 'user.update': '修改用户', 'user.delete': '删除用户', 'user.password': '修改密码',
+    'config.export': '导出配置', 'consumerKey.create': '新建 API 密钥', 'consumerKey.update': '修改 API 密钥', 'consumerKey.delete': '删除 API 密钥',
+    'collection.upload': '上传图库文件', 'collection.import': '导入图库文件', 'collection.update': '修改图库文件', 'collection.delete': '删除图库文件'
+};
+let currentUser = null;
+let accountModal;
+
+async function fetchJson(url, options = {}) {
+    const response = await fetch(url, { credentials: 'same-origin', ...options, headers: { 'Content-Type': 'application/json', ...options.headers } });
+    if (response.status === 204) return null;
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+    return result;
+}
+
+async function loadCurrentUser() {
+    try {
+        currentUser = await fetchJson('/config/me');
+    } catch {
+        return;
+    }
+    document.getElementById('current-user').textContent = `${currentUser.username} (${roleLabels[currentUser.role] || currentUser.role})`;
+    document.body.classList.toggle('role-viewer', currentUser.role === 'viewer');
+    document.getElementById('user-management').style.display = currentUser.role === 'owner' ? '' : 'none';
+}
+
+async function openAccount() {
+    accountModal = accountModal || new bootstrap.Modal(document.getElementById('account-modal'));
+    accountModal.show();
+    if (currentUser?.role !== 'owner') return;
+    try {
+        await Promise.all([loadUsers(), loadAuditLog()]);
+    } catch (error) {
+        showMessage('加载用户信息失败: ' + error.message, 'error');
+    }
+}
+
+async function changeOwnPassword() {
+    const currentPassword = document.getElementById('current-password').value;
+    const newPassword = document.getElementById('new-password').value;
+    try {
+        await fetchJson('/config/me/password', { method: 'POST', body: JSON.stringify({ currentPassword, newPassword }) });
+        document.getElementById('current-password').value = '';
+        document.getElementById('new-password').value = '';
+        alert('密码已修改，其他设备上的登录已失效。');
+    } catch (error) {
+        alert('修改密码失败: ' + error.message);
+    }
+}
+
+async function loadUsers() {
+    const { users } = await fetchJson('/config/users');
+    document.getElementById('users-body').innerHTML = users.map(u => `
+        <tr>
+            <td>${escapeHtml(u.username)}${u.id === currentUser.id ? ' <span class="badge bg-secondary">当前</span>' : ''}</td>
+            <td><select class="form-select form-select-sm" onchange="updateUser(${u.id}, { role: this.value })">
+                ${Object.entries(roleLabels).map(([role, label]) => `<option value="${role}"${role === u.role ? ' selected' : ''}>${label}</option>`).join('')}
+            </select></td>
+            <td class="text-nowrap">${escapeHtml(u.created_at || '')}</td>
+            <td class="text-nowrap">${escapeHtml(u.last_login || '-')}</td>
+            <td class="text-end text-nowrap">
+                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="resetUserPassword(${u.id})"><i class="bi bi-key"></i> 重置密码</button>
+                ${u.id === currentUser.id ? '' : `<button type="button" class="btn btn-outline-danger btn-sm" onclick="deleteUser(${u.id})"><i class="bi bi-trash"></i></button>`}
+            </td>
+        </tr>`).join('');
+}
+
+async function addUser() {
+    const body = {
+        username: document.getElementById('new-user-name').value.trim(),
+        password: document.getElementById('new-user-password').value,
+        role: document.getElementById('new-user-role').value
+    };
+    try {
+        await fetchJson('/config/users', { method: 'POST', body: JSON.stringify(body) });
+        document.getElementById('new-user-name').value = '';
+        document.getElementById('new-user-password').value = '';
+        await Promise.all([loadUsers(), loadAuditLog()]);
+    } catch (error) {
+        alert('添加用户失败: ' + error.message);
+    }
+}
+
+async function updateUser(id, changes) {
+    try {
+        await fetchJson(`/config/users/${id}`, { method: 'PATCH', body: JSON.stringify(changes) });
+    } catch (error) {
+        alert('更新用户失败: ' + error.message);
+    }
+    await Promise.all([loadUsers(), loadAuditLog()]);
+}
+
+function resetUserPassword(id) {
+    const password = prompt('请输入新密码（至少 6 位）:', '');
+    if (password) updateUser(id, { password });
+}
+
+async function deleteUser(id) {
+    if (!confirm('确定删除该用户吗？')) return;
+    try {
+        await fetchJson(`/config/users/${id}`, { method: 'DELETE' });
+    } catch (error) {
+        alert('删除用户失败: ' + error.message);
+    }
+    await Promise.all([loadUsers(), loadAuditLog()]);
+}
+
+function formatAuditDetail(detail) {
+    if (!detail) return '';
+    const parts = [];
+    if (detail.fields) parts.push(detail.fields.map(f => revisionFieldLabels[f] || f).join('、'));
+    if (detail.role) parts.push(`角色: ${roleLabels[detail.role] || detail.role}`);
+    if (detail.passwordReset) parts.push('重置密码');
+    if (detail.before !== undefined) parts.push(`${[].concat(detail.before).join('、')} → ${[].concat(detail.after).join('、')}`);
+    if (detail.allowedEndpoints) parts.push(`端点: ${detail.allowedEndpoints.join('、') || '全部'}`);
+    if (detail.enabled !== undefined) parts.push(detail.enabled ? '启用' : '停用');
+    if (detail.item) parts.push(`文件 #${detail.item}${detail.duplicate ? ' (重复)' : ''}`);
+    if (detail.tags) parts.push(`标签: ${detail.tags.join('、') || '(无)'}`);
+    if (detail.added !== undefined) parts.push(`新增 ${detail.added}，重复 ${detail.duplicates}，失败 ${detail.failed}`);
+    if (detail.note) parts.push(`说明: ${detail.note}`);
+    return parts.join('；');
+}
+
+async function loadAuditLog() {
+    const { entries } = await fetchJson('/config/audit?limit=200');
+    document.getElementById('audit-body').innerHTML = entries.map(e => `
+        <tr>
+            <td class="text-nowrap">${escapeHtml(e.created_at)}</td>
+            <td>${escapeHtml(e.username || '-')}</td>
+            <td>${escapeHtml(auditActionLabels[e.action] || e.action)}</td>
+            <td>${escapeHtml(e.target || '')}</td>
+            <td>${escapeHtml(formatAuditDetail(e.detail))}</td>
+            <td>${escapeHtml(e.client_ip || '')}</td>
+        </tr>`).join('') || '<tr><td colspan="6" class="text-center text-muted py-3">暂无记录</td></tr>';
+}
+
 // === Load & Save ===
 async function loadConfig() {
     try {
-        const response = await fetch('/config', { credentials: 'same-origin' });
+        const response = await fetch('/config/endpoints', { credentials: 'same-origin' });
         if (response.status === 401) return window.location.href = '/admin-login';
-        currentConfigData = await response.json();
-        if (!currentConfigData.apiUrls) currentConfigData.apiUrls = {};
+        const result = await response.json();
+        currentConfigData = { apiUrls: {}, baseTag: result.baseTag || '', protectedGroups: result.protectedGroups || [], promptTemplates: result.promptTemplates || [] };
+        endpointEtags = {};
+        renamedKeys = {};
+        (result.endpoints || []).forEach(({ key, etag, ...config }) => {
+            currentConfigData.apiUrls[key] = config;
+            endpointEtags[key] = etag;
+        });
+        savedApiUrls = JSON.parse(JSON.stringify(currentConfigData.apiUrls));
         renderConfig();
         handleCheckboxChange();
+        loadHealth();
+        loadAvailability();
+        loadMediaCacheStats();
+        loadCollectionStats();
+        loadResponseCacheStats();
     } catch (error) {
         console.error('加载配置失败:', error);
         showMessage('加载配置失败: ' + error.message, 'error');
     }
 }
 
+// Turns the edited endpoints into per-endpoint requests; untouched endpoints are not sent at all
+function planChanges(entries) {
+    const keptSources = new Set(entries.map(e => e.sourceKey).filter(k => savedApiUrls[k]));
+    const deletes = Object.keys(savedApiUrls).filter(k => !keptSources.has(k)).map(key => ({ method: 'DELETE', key }));
+    const updates = [];
+    const creates = [];
+    entries.forEach(({ key, sourceKey, config }) => {
+        if (!savedApiUrls[sourceKey]) creates.push({ method: 'POST', key, body: { key, ...config } });
+        else if (key !== sourceKey || stableStringify(config) !== stableStringify(savedApiUrls[sourceKey])) updates.push({ method: 'PUT', key: sourceKey, body: { key, ...config } });
+    });
+    return [...deletes, ...updates, ...creates];
+}
+
+async function sendChange(change) {
+    const response = await fetch(change.method === 'POST' ? '/config/endpoints' : `/config/endpoints/${encodeURIComponent(change.key)}`, {
+        method: change.method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(change.method !== 'POST' && endpointEtags[change.key] ? { 'If-Match': endpointEtags[change.key] } : {}),
+            ...(change.note ? { 'X-Revision-Note': encodeURIComponent(change.note) } : {})
+        },
+        body: change.body ? JSON.stringify(change.body) : undefined,
+        credentials: 'same-origin'
+    });
+    if (response.status === 412) throw new Error(`端点 /${change.key} 已被其他人修改，请刷新页面后重试`);
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || `HTTP ${response.status}`);
+    }
+}
+
 async function saveConfig(event) {
     event.preventDefault();
-    let updatedApiUrls = {};
+    const entries = [];
     let hasError = false;
 
     if (currentView === 'table') {
@@ -453,12 +1768,13 @@ async function saveConfig(event) {
                 showMessage('错误：发现未命名的端点！', 'error');
                 return;
             }
-            if (!currentConfigData.apiUrls[apiKey].url) {
+            const config = currentConfigData.apiUrls[apiKey];
+            if (!config.url && !['aggregate', 'collection'].includes(config.method)) {
                 showMessage(`错误：端点 /${apiKey} 的 URL 不能为空！`, 'error');
                 return;
             }
+            entries.push({ key: apiKey, sourceKey: renamedKeys[apiKey] ?? apiKey, config });
         }
-        updatedApiUrls = currentConfigData.apiUrls;
     } else {
         // Collect from card view
         const cards = apiConfigsContainer.querySelectorAll('.card[data-api-key]');
@@ -475,67 +1791,76 @@ async function saveConfig(event) {
             usedKeys.add(apiKey);
 
             const urlInput = card.querySelector(`#${original}-url`);
-            if (!urlInput.value.trim()) { showMessage(`错误：端点 /${apiKey} 的 URL 不能为空！`, 'error'); urlInput.focus(); hasError = true; break; }
+            const needsUrl = !['aggregate', 'collection'].includes(card.querySelector(`#${original}-method`).value);
+            if (!urlInput.value.trim() && needsUrl) { showMessage(`错误：端点 /${apiKey} 的 URL 不能为空！`, 'error'); urlInput.focus(); hasError = true; break; }
 
+            // Start from the saved config so fields without form controls are preserved
             const entry = {
+                ...savedApiUrls[original],
                 group: card.querySelector(`#${original}-group`).value.trim() || '默认分组',
                 description: card.querySelector(`#${original}-description`).value.trim(),
                 url: urlInput.value.trim(),
                 type: card.querySelector(`#${original}-type`).value,
                 method: card.querySelector(`#${original}-method`).value,
+                upstreamStrategy: card.querySelector(`#${original}-upstreamStrategy`).value,
+                upstreams: collectUpstreams(card, original),
+                ...collectPrimaryUpstream(card, original),
+                rateLimit: collectRateLimit(card, original),
+                requireApiKey: card.querySelector(`#${original}-requireApiKey`).checked || undefined,
+                includeInPrompt: card.querySelector(`#${original}-includeInPrompt`).checked ? undefined : false,
+                enabled: card.querySelector(`#${original}-enabled`).checked ? undefined : false,
+                availability: collectAvailability(card, original),
+                requestHeaders: collectHeaders(card, original, 'request'),
+                responseHeaders: collectHeaders(card, original, 'response'),
+                ...collectUpstreamRequest(card, original),
+                aggregate: collectAggregate(card, original),
+                responseCache: collectResponseCache(card, original),
+                dedup: collectDedup(card, original),
                 queryParams: [],
-                proxySettings: {}
+                proxySettings: { ...savedApiUrls[original]?.proxySettings }
             };
 
             // Collect query params
             card.querySelectorAll(`#${original}-params-list .param-item`).forEach(item => {
-                const name = item.querySelector('[id$="-name"]').value.trim();
-                if (!name) return;
-                entry.queryParams.push({
-                    name,
-                    description: item.querySelector('[id$="-desc"]').value.trim(),
-                    required: item.querySelector('[id$="-required"]').checked,
-                    defaultValue: item.querySelector('[id$="-default"]').value.trim() || undefined,
-                    validValues: item.querySelector('[id$="-validValues"]').value.trim().split(',').filter(Boolean) || undefined
-                });
+                const param = collectQueryParam(item);
+                if (param) entry.queryParams.push(param);
             });
 
             // Collect proxy settings
-            if (entry.method === 'proxy') {
-                const field = card.querySelector(`#${original}-imageUrlField`)?.value.trim();
-                const fallback = card.querySelector(`#${original}-fallbackAction`)?.value;
-                if (field) entry.proxySettings.imageUrlField = field;
-                entry.proxySettings.fallbackAction = fallback || 'returnJson';
-            }
-
-            // Preserve special fields from original config
-            const originalConfig = currentConfigData.apiUrls[original];
-            if (originalConfig?.urlConstruction) entry.urlConstruction = originalConfig.urlConstruction;
-            if (originalConfig?.modelName) entry.modelName = originalConfig.modelName;
-
-            updatedApiUrls[apiKey] = entry;
+            entry.proxySettings.imageUrlField = card.querySelector(`#${original}-imageUrlField`)?.value.trim() || undefined;
+            const extractMode = card.querySelector(`#${original}-extractMode`).value;
+            entry.proxySettings.extractMode = extractMode !== 'auto' ? extractMode : undefined;
+            entry.proxySettings.resultMode = card.querySelector(`#${original}-resultMode`).value === 'stream' ? 'stream' : undefined;
+            entry.proxySettings.imageUrlFieldFromParam = card.querySelector(`#${original}-imageUrlFieldFromParam`).checked || undefined;
+            entry.proxySettings.pickMode = card.querySelector(`#${original}-pickMode`).value === 'random' ? 'random' : undefined;
+            entry.proxySettings.fallbackAction = card.querySelector(`#${original}-fallbackAction`)?.value || 'returnJson';
+
+            entries.push({ key: apiKey, sourceKey: original, config: entry });
         }
     }
 
     if (hasError) return;
 
+    const changes = planChanges(entries);
+    if (!changes.length) return showMessage('没有需要保存的更改。', 'success');
+
     const saveBtn = form.querySelector('.save-button');
     saveBtn.disabled = true;
     saveBtn.innerHTML = '<span class="spinner-border spinner-border-sm"></span> 保存中...';
 
+    const noteInput = document.getElementById('revision-note');
+    const note = noteInput.value.trim();
+    let saved = 0;
     try {
-        const response = await fetch('/config', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ apiUrls: updatedApiUrls, baseTag: '' }),
-            credentials: 'same-origin'
-        });
-        const result = await response.json();
-        if (!response.ok) throw new Error(result.error);
-        showMessage(result.message || '配置已保存！', 'success');
+        for (const change of changes) {
+            await sendChange({ ...change, note });
+            saved++;
+        }
+        noteInput.value = '';
+        showMessage(`已保存 ${saved} 项更改。`, 'success');
         await loadConfig();
     } catch (error) {
-        showMessage('保存失败: ' + error.message, 'error');
+        showMessage(`保存失败${saved ? ` (已保存 ${saved}/${changes.length} 项)` : ''}: ${error.message}`, 'error');
     } finally {
         saveBtn.disabled = false;
         saveBtn.innerHTML = '<i class="bi bi-save"></i> 保存所有配置';
@@ -544,4 +1869,7 @@ async function saveConfig(event) {
 
 // === Initialize ===
 form.addEventListener('submit', saveConfig);
-document.addEventListener('DOMContentLoaded', loadConfig);
+document.addEventListener('DOMContentLoaded', () => {
+    loadCurrentUser();
+    loadConfig();
+});
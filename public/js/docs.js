@@ -0,0 +1,149 @@
+// API Docs Page JavaScript
+let spec = null;
+
+const methodLabels = { redirect: '重定向', proxy: '代理', cache: '缓存池', aggregate: '聚合', collection: '本地图库' };
+
+// === Utility Functions ===
+function operationId(path) {
+    return path.slice(1).replace(/[^\w-]/g, c => `_${c.charCodeAt(0).toString(16)}`);
+}
+
+// === Rendering ===
+function renderParameter(id, param) {
+    const schema = param.schema || {};
+    const inputId = `${id}-param-${escapeHtml(param.name)}`;
+    const label = `<label class="col-sm-3 col-form-label text-sm-end" for="${inputId}"><code>${escapeHtml(param.name)}</code>${param.required ? ' <span class="text-danger">*</span>' : ''}</label>`;
+    const options = schema.enum || (schema.type === 'boolean' ? [true, false] : null);
+    const control = options
+        ? `<select class="form-select" id="${inputId}" data-param="${escapeHtml(param.name)}">
+                ${param.required && schema.default === undefined ? '' : '<option value="">(不传)</option>'}
+                ${options.map(v => `<option value="${escapeHtml(v)}" ${v === schema.default ? 'selected' : ''}>${escapeHtml(v)}</option>`).join('')}
+            </select>`
+        : `<input type="${schema.type === 'integer' || schema.type === 'number' ? 'number' : 'text'}" class="form-control" id="${inputId}" data-param="${escapeHtml(param.name)}"
+                ${schema.type === 'integer' ? 'step="1"' : schema.type === 'number' ? 'step="any"' : ''} placeholder="${escapeHtml(schema.default !== undefined ? `默认: ${schema.default}` : '')}">`;
+    const hint = [param.description, describeSchema(schema)].filter(Boolean).join(' · ');
+    return `<div class="row g-2 mb-2">${label}<div class="col-sm-9">${control}${hint ? `<div class="form-text">${escapeHtml(hint)}</div>` : ''}</div></div>`;
+}
+
+function describeSchema(schema) {
+    const rules = [];
+    if (schema.type === 'integer') rules.push('整数');
+    if (schema.type === 'number') rules.push('数字');
+    if (schema.minimum !== undefined && schema.maximum !== undefined) rules.push(`范围 ${schema.minimum} ~ ${schema.maximum}`);
+    else if (schema.minimum !== undefined) rules.push(`≥ ${schema.minimum}`);
+    else if (schema.maximum !== undefined) rules.push(`≤ ${schema.maximum}`);
+    if (schema.minLength !== undefined) rules.push(`至少 ${schema.minLength} 个字符`);
+    if (schema.maxLength !== undefined) rules.push(`至多 ${schema.maxLength} 个字符`);
+    if (schema.pattern) rules.push(`格式 ${schema.pattern}`);
+    return rules.join('，');
+}
+
+function renderOperation(path, op) {
+    const id = operationId(path);
+    const statuses = Object.keys(op.responses).map(code => `<span class="badge bg-light text-dark me-1" title="${escapeHtml(op.responses[code].description)}">${escapeHtml(code)}</span>`).join('');
+    return `<div class="card mb-3 docs-operation" data-path="${escapeHtml(path)}" data-search="${escapeHtml(`${path} ${op.summary}`.toLowerCase())}">
+        <div class="card-header d-flex justify-content-between align-items-center flex-wrap gap-2">
+            <span><span class="badge bg-primary me-2">GET</span><span class="operation-path">${escapeHtml(path)}</span> <span class="text-muted ms-2">${escapeHtml(op.summary)}</span></span>
+            <span>
+                <span class="badge bg-secondary">${escapeHtml(methodLabels[op['x-method']] || op['x-method'])}</span>
+                <span class="badge bg-info text-dark">${op['x-media-type'] === 'video' ? '视频' : '图片'}</span>
+                ${op.security ? '<span class="badge bg-warning text-dark"><i class="bi bi-lock"></i> 需要密钥</span>' : ''}
+            </span>
+        </div>
+        <div class="card-body">
+            ${op.parameters.length ? op.parameters.map(p => renderParameter(id, p)).join('') : '<p class="text-muted small">无参数</p>'}
+            <div class="d-flex align-items-center gap-2 flex-wrap mb-2">
+                <button type="button" class="btn btn-primary btn-sm try-btn"><i class="bi bi-play-fill"></i> 试一试</button>
+                <small class="text-muted">响应: ${statuses}</small>
+            </div>
+            <div class="request-url text-muted mb-2"></div>
+            <div class="try-result"></div>
+        </div>
+    </div>`;
+}
+
+function renderDocs() {
+    const container = document.getElementById('docs-container');
+    const entries = Object.entries(spec.paths);
+    if (!entries.length) {
+        container.innerHTML = '<div class="alert alert-info">暂无可用端点</div>';
+        return;
+    }
+    container.innerHTML = spec.tags.map(tag => {
+        const operations = entries.filter(([, item]) => item.get.tags.includes(tag.name));
+        return `<section class="docs-group"><h2 class="group-title">${escapeHtml(tag.name)}</h2>${operations.map(([path, item]) => renderOperation(path, item.get)).join('')}</section>`;
+    }).join('');
+}
+
+// === Try It Out ===
+function buildRequestUrl(card) {
+    const op = spec.paths[card.dataset.path].get;
+    const query = new URLSearchParams();
+    card.querySelectorAll('[data-param]').forEach(input => {
+        if (input.value !== '') query.set(input.dataset.param, input.value);
+    });
+    const apiKey = document.getElementById('api-key-input').value.trim();
+    if (op.security && apiKey) query.set('key', apiKey);
+    // Cache buster so repeated tries fetch a fresh random image
+    query.set('t', Date.now());
+    return new URL(`${card.dataset.path}?${query}`, window.location.origin).href;
+}
+
+async function showErrorResponse(url, result) {
+    try {
+        const response = await fetch(url, { credentials: 'omit' });
+        const text = await response.text();
+        let body = text;
+        try { body = JSON.stringify(JSON.parse(text), null, 2); } catch { /* not JSON */ }
+        result.innerHTML = `<div class="alert alert-${response.ok ? 'warning' : 'danger'} mb-0"><strong>HTTP ${response.status}</strong><pre class="mb-0 mt-2"></pre></div>`;
+        result.querySelector('pre').textContent = body.slice(0, 4000);
+    } catch {
+        result.innerHTML = '<div class="alert alert-danger mb-0">加载失败</div>';
+    }
+}
+
+function tryOperation(card) {
+    const op = spec.paths[card.dataset.path].get;
+    const missing = op.parameters.filter(p => p.required && p.schema?.default === undefined && !card.querySelector(`[data-param="${CSS.escape(p.name)}"]`).value);
+    const result = card.querySelector('.try-result');
+    if (missing.length) {
+        result.innerHTML = `<div class="alert alert-warning mb-0">缺少必填参数: ${missing.map(p => escapeHtml(p.name)).join(', ')}</div>`;
+        return;
+    }
+
+    const url = buildRequestUrl(card);
+    card.querySelector('.request-url').textContent = url;
+    result.innerHTML = '<div class="spinner-border spinner-border-sm text-primary" role="status"></div> <small class="text-muted">加载中...</small>';
+
+    const media = document.createElement(op['x-media-type'] === 'video' ? 'video' : 'img');
+    if (media.tagName === 'VIDEO') Object.assign(media, { controls: true, autoplay: true, muted: true, loop: true, playsInline: true });
+    const onLoad = () => { result.innerHTML = ''; result.appendChild(media); };
+    media.addEventListener(media.tagName === 'VIDEO' ? 'loadeddata' : 'load', onLoad, { once: true });
+    media.addEventListener('error', () => showErrorResponse(url, result), { once: true });
+    media.src = url;
+}
+
+// === Initialization ===
+document.getElementById('docs-container').addEventListener('click', event => {
+    const button = event.target.closest('.try-btn');
+    if (button) tryOperation(button.closest('.docs-operation'));
+});
+
+document.getElementById('docs-search').addEventListener('input', event => {
+    const term = event.target.value.trim().toLowerCase();
+    document.querySelectorAll('.docs-operation').forEach(card => card.style.display = !term || card.dataset.search.includes(term) ? '' : 'none');
+    document.querySelectorAll('.docs-group').forEach(group => group.style.display = group.querySelector('.docs-operation:not([style*="none"])') ? '' : 'none');
+});
+
+async function loadDocs() {
+    try {
+        const response = await fetch('/openapi.json');
+        spec = await response.json();
+        renderDocs();
+    } catch (error) {
+        console.error('加载接口文档失败:', error);
+        document.getElementById('docs-container').innerHTML = '<div class="alert alert-danger">加载接口文档失败</div>';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', loadDocs);
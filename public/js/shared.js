@@ -0,0 +1,6 @@
+// Shared Page JavaScript - helpers used by every page
+
+// Text inserted into HTML comes from the config (descriptions, group names, parameters) and is not trusted
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
@@ -0,0 +1,120 @@
+// Admin Statistics Page JavaScript
+const messageDiv = document.getElementById('message');
+let currentWindow = '24h';
+let selectedKey = null;
+
+const outcomeLabels = { redirect: '重定向', proxy_redirect: '代理跳转', proxy_json: '代理 JSON', proxy_stream: '代理转发', cache_miss: '缓存未命中', cache_hit: '缓存池', response_cache: '响应缓存', collection: '本地图库', rate_limited: '限流', unauthorized: '未授权', unavailable: '不可用', error: '错误', aborted: '中断' };
+
+// === Utility Functions ===
+function showMessage(text, type = 'success') {
+    messageDiv.textContent = text;
+    messageDiv.className = `alert alert-${type === 'success' ? 'success' : 'danger'} mt-4`;
+    messageDiv.style.display = 'block';
+    setTimeout(() => messageDiv.style.display = 'none', 7000);
+}
+
+function formatLatency(ms) {
+    if (ms === null || ms === undefined) return '-';
+    return ms >= 1000 ? `${(ms / 1000).toFixed(2)}s` : `${ms}ms`;
+}
+
+function formatRate(rate) {
+    return `${(rate * 100).toFixed(1)}%`;
+}
+
+async function fetchJson(url) {
+    const response = await fetch(url, { credentials: 'same-origin' });
+    if (response.status === 401) {
+        window.location.href = '/admin-login';
+        throw new Error('Unauthorized');
+    }
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error);
+    return result;
+}
+
+// === Rendering ===
+function renderSummary(totals) {
+    document.getElementById('total-count').textContent = totals.count;
+    document.getElementById('total-error-rate').textContent = formatRate(totals.errorRate);
+    document.getElementById('total-p50').textContent = formatLatency(totals.p50);
+    document.getElementById('total-p95').textContent = formatLatency(totals.p95);
+}
+
+function renderEndpointTable(endpoints) {
+    const tbody = document.getElementById('endpoint-stats-body');
+    if (!endpoints.length) {
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted py-4">该时间段内没有调用记录</td></tr>';
+        return;
+    }
+    tbody.innerHTML = endpoints.map(e => {
+        const outcomes = Object.entries(e.outcomes).map(([k, v]) => `<span class="badge bg-light text-dark me-1">${escapeHtml(outcomeLabels[k] || k)} ${v}</span>`).join('');
+        return `<tr data-api-key="${escapeHtml(e.apiKey)}" class="${e.apiKey === selectedKey ? 'selected' : ''}">
+            <td>/${escapeHtml(e.apiKey)}</td>
+            <td class="text-end">${e.count}</td>
+            <td class="text-end ${e.errorRate > 0.1 ? 'text-danger' : ''}">${formatRate(e.errorRate)}</td>
+            <td class="text-end">${formatLatency(e.p50)}</td>
+            <td class="text-end">${formatLatency(e.p95)}</td>
+            <td>${outcomes}</td>
+            <td class="text-muted small">${escapeHtml(e.lastCalled)}</td>
+        </tr>`;
+    }).join('');
+    tbody.querySelectorAll('tr[data-api-key]').forEach(row => row.addEventListener('click', () => selectEndpoint(row.getAttribute('data-api-key'))));
+}
+
+function renderTimeline(buckets) {
+    const container = document.getElementById('timeline');
+    const max = Math.max(1, ...buckets.map(b => b.count));
+    container.innerHTML = buckets.map(b => `
+        <div class="timeline-bar" style="height:${(b.count / max) * 100}%" title="${escapeHtml(b.bucket)}: ${b.count} 次，${b.errors} 错误">
+            <div class="timeline-errors" style="height:${b.count ? (b.errors / b.count) * 100 : 0}%"></div>
+        </div>`).join('') || '<div class="text-muted m-auto">暂无数据</div>';
+    document.getElementById('timeline-start').textContent = buckets[0]?.bucket || '';
+    document.getElementById('timeline-end').textContent = buckets.length > 1 ? buckets[buckets.length - 1].bucket : '';
+}
+
+function renderReferers(referers) {
+    document.getElementById('referer-list').innerHTML = referers.map(r =>
+        `<li><span class="${r.referer ? '' : 'text-muted'}">${escapeHtml(r.referer || '(直接访问 / 无 Referer)')}</span> <span class="badge bg-secondary">${r.count}</span></li>`
+    ).join('') || '<li class="text-muted">暂无数据</li>';
+}
+
+// === Loading ===
+async function loadDetails() {
+    const keyParam = selectedKey ? `&key=${encodeURIComponent(selectedKey)}` : '';
+    const scope = selectedKey ? `(/${selectedKey})` : '(全部端点)';
+    document.getElementById('timeline-scope').textContent = scope;
+    document.getElementById('referer-scope').textContent = scope;
+    const [timeline, referers] = await Promise.all([
+        fetchJson(`/config/stats/timeline?window=${currentWindow}${keyParam}`),
+        fetchJson(`/config/stats/referers?window=${currentWindow}${keyParam}`)
+    ]);
+    renderTimeline(timeline.buckets);
+    renderReferers(referers.referers);
+}
+
+async function loadStats() {
+    try {
+        const stats = await fetchJson(`/config/stats?window=${currentWindow}`);
+        renderSummary(stats.totals);
+        renderEndpointTable(stats.endpoints);
+        await loadDetails();
+    } catch (error) {
+        console.error('加载统计失败:', error);
+        showMessage('加载统计失败: ' + error.message, 'error');
+    }
+}
+
+function selectEndpoint(apiKey) {
+    selectedKey = selectedKey === apiKey ? null : apiKey;
+    document.querySelectorAll('#endpoint-stats-body tr[data-api-key]').forEach(row => row.classList.toggle('selected', row.getAttribute('data-api-key') === selectedKey));
+    loadDetails().catch(error => showMessage('加载统计失败: ' + error.message, 'error'));
+}
+
+// === Initialize ===
+document.querySelectorAll('.window-btn').forEach(btn => btn.addEventListener('click', () => {
+    currentWindow = btn.getAttribute('data-window');
+    document.querySelectorAll('.window-btn').forEach(b => b.classList.toggle('active', b === btn));
+    loadStats();
+}));
+document.addEventListener('DOMContentLoaded', loadStats);